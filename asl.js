@@ -0,0 +1,796 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+// runtime helpers, serialized into the code of the generated function combinators
+// helpers must not refer to anything but globals and other helpers
+
+// parse reference path into array of keys
+function parse (path) {
+  if (typeof path !== 'string' || path[0] !== '$') throw new Error(`Invalid path "${path}"`)
+  if (path[1] === '$') throw new Error(`Unsupported context object path "${path}"`)
+  const keys = []
+  const regexp = /\.([^.[\]'"*]+)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/y
+  regexp.lastIndex = 1
+  while (regexp.lastIndex < path.length) {
+    const match = regexp.exec(path)
+    if (match === null) throw new Error(`Unsupported path "${path}"`)
+    keys.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? Number(match[2]) : match[3] !== undefined ? match[3] : match[4])
+  }
+  return keys
+}
+
+// return value at path or undefined if absent
+function select (data, path) {
+  for (const key of parse(path)) {
+    // an array is represented as a dictionary with a single value field
+    if (typeof key === 'number' && data !== null && typeof data === 'object' && Object.keys(data).length === 1 && Array.isArray(data.value)) data = data.value
+    if (data === null || typeof data !== 'object' || !Object.prototype.hasOwnProperty.call(data, key)) return undefined
+    data = data[key]
+  }
+  return data
+}
+
+// return value at path, throw if absent
+function get (data, path) {
+  const value = select(data, path)
+  if (value === undefined) throw new Error(`Invalid path "${path}": no such field in ${JSON.stringify(data)}`)
+  return value
+}
+
+// return copy of data with value inserted at path
+function assign (data, path, value) {
+  const keys = parse(path)
+  if (keys.length === 0) return value
+  const root = Object.assign({}, data)
+  let node = root
+  for (let i = 0; i < keys.length - 1; i++) {
+    const child = node[keys[i]]
+    node = node[keys[i]] = child !== null && typeof child === 'object' ? Object.assign(Array.isArray(child) ? [] : {}, child) : {}
+  }
+  node[keys[keys.length - 1]] = value
+  return root
+}
+
+// instantiate payload template
+function resolve (template, data) {
+  if (Array.isArray(template)) return template.map(item => resolve(item, data))
+  if (template === null || typeof template !== 'object') return template
+  const result = {}
+  for (const key in template) {
+    if (key.endsWith('.$')) {
+      result[key.substring(0, key.length - 2)] = get(data, template[key])
+    } else {
+      result[key] = resolve(template[key], data)
+    }
+  }
+  return result
+}
+
+// evaluate choice rule
+function evaluate (rule, data) {
+  if (rule.And !== undefined) return rule.And.every(rule => evaluate(rule, data))
+  if (rule.Or !== undefined) return rule.Or.some(rule => evaluate(rule, data))
+  if (rule.Not !== undefined) return !evaluate(rule.Not, data)
+  const value = select(data, rule.Variable)
+  const operator = Object.keys(rule).find(key => key !== 'Variable' && key !== 'Next' && key !== 'Comment')
+  switch (operator) {
+    case 'IsPresent': return (value !== undefined) === rule.IsPresent
+    case 'IsNull': return (value === null) === rule.IsNull
+    case 'IsBoolean': return (typeof value === 'boolean') === rule.IsBoolean
+    case 'IsNumeric': return (typeof value === 'number') === rule.IsNumeric
+    case 'IsString': return (typeof value === 'string') === rule.IsString
+    case 'IsTimestamp': return (typeof value === 'string' && !isNaN(Date.parse(value))) === rule.IsTimestamp
+    case 'StringMatches': {
+      if (typeof value !== 'string') return false
+      const pattern = rule.StringMatches.split(/(\\\\|\\\*|\*)/).map(token => {
+        if (token === '*') return '.*'
+        if (token === '\\*') return '\\*'
+        if (token === '\\\\') return '\\\\'
+        return token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      }).join('')
+      return new RegExp(`^${pattern}$`).test(value)
+    }
+  }
+  const [, type, comparison, reference] = /^(String|Numeric|Boolean|Timestamp)(.*?)(Path)?$/.exec(operator)
+  let left = value
+  let right = reference ? select(data, rule[operator]) : rule[operator]
+  const valid = value => type === 'Numeric' ? typeof value === 'number' : type === 'Boolean' ? typeof value === 'boolean' : typeof value === 'string'
+  if (!valid(left) || !valid(right)) return false
+  if (type === 'Timestamp') {
+    left = Date.parse(left)
+    right = Date.parse(right)
+    if (isNaN(left) || isNaN(right)) return false
+  }
+  switch (comparison) {
+    case 'Equals': return left === right
+    case 'LessThan': return left < right
+    case 'GreaterThan': return left > right
+    case 'LessThanEquals': return left <= right
+    case 'GreaterThanEquals': return left >= right
+  }
+}
+
+// value represented by a dictionary with a single value field
+function unwrap (result) {
+  return result.value
+}
+
+// map error field of error object to states language error name and cause
+function describe (error) {
+  if (error !== null && typeof error === 'object' && typeof error.Error === 'string') {
+    return { Error: error.Error, Cause: typeof error.Cause === 'string' ? error.Cause : JSON.stringify(error.Cause) }
+  }
+  if (error === 'timeout') return { Error: 'States.Timeout', Cause: 'timeout' }
+  return { Error: 'States.TaskFailed', Cause: typeof error === 'string' ? error : JSON.stringify(error) }
+}
+
+// test if error matches a list of error names
+function matches (error, names) {
+  const name = describe(error).Error
+  if (name === 'States.Runtime') return names.indexOf(name) >= 0
+  return names.some(n => n === name || n === 'States.ALL' || (n === 'States.TaskFailed' && name !== 'States.Timeout'))
+}
+
+const helpers = { parse, select, get, assign, resolve, evaluate, unwrap, describe, matches }
+
+// helper dependencies
+const dependencies = {
+  select: ['parse'],
+  get: ['select'],
+  assign: ['parse'],
+  resolve: ['get'],
+  evaluate: ['select'],
+  matches: ['describe']
+}
+
+// code of a function combinator using the given helpers, runtime errors are reported as States.Runtime errors
+function code (signature, body, ...names) {
+  const closure = new Set()
+  const add = name => {
+    if (closure.has(name)) return
+    closure.add(name)
+    for (let dependency of dependencies[name] || []) add(dependency)
+  }
+  names.forEach(add)
+  const definitions = Object.keys(helpers).filter(name => closure.has(name)).map(name => `${helpers[name]}\n`).join('')
+  return `${signature} => {\n${definitions}try {\n${body}\n} catch (error) {\nreturn { error: { Error: 'States.Runtime', Cause: error.message } }\n}\n}`
+}
+
+// fields permitted in each state type in addition to Type and Comment
+const fields = {
+  Task: ['Resource', 'Next', 'End', 'InputPath', 'OutputPath', 'Parameters', 'ResultSelector', 'ResultPath', 'Retry', 'Catch', 'TimeoutSeconds'],
+  Pass: ['Next', 'End', 'InputPath', 'OutputPath', 'Parameters', 'Result', 'ResultPath'],
+  Choice: ['Choices', 'Default', 'InputPath', 'OutputPath'],
+  Wait: ['Next', 'End', 'InputPath', 'OutputPath', 'Seconds', 'Timestamp', 'SecondsPath', 'TimestampPath'],
+  Succeed: ['InputPath', 'OutputPath'],
+  Fail: ['Error', 'Cause', 'ErrorPath', 'CausePath'],
+  Parallel: ['Branches', 'Next', 'End', 'InputPath', 'OutputPath', 'Parameters', 'ResultSelector', 'ResultPath', 'Retry', 'Catch'],
+  Map: ['Iterator', 'ItemProcessor', 'ItemsPath', 'MaxConcurrency', 'Next', 'End', 'InputPath', 'OutputPath', 'ResultSelector', 'ResultPath', 'Retry', 'Catch']
+}
+
+// choice rule comparison operators
+const operators = ['IsPresent', 'IsNull', 'IsBoolean', 'IsNumeric', 'IsString', 'IsTimestamp', 'StringMatches', 'BooleanEquals', 'BooleanEqualsPath']
+for (let type of ['String', 'Numeric', 'Timestamp']) {
+  for (let comparison of ['Equals', 'LessThan', 'GreaterThan', 'LessThanEquals', 'GreaterThanEquals']) {
+    operators.push(type + comparison, type + comparison + 'Path')
+  }
+}
+
+// combinators with a states language counterpart, other combinators are lowered before translation
+const portable = ['if', 'while', 'dowhile', 'retry', 'retain', 'sleep', 'literal', 'value']
+
+const isObject = obj => typeof obj === 'object' && obj !== null && !Array.isArray(obj)
+
+module.exports = (composer, ComposerError) => {
+  // report an error in a state
+  const fail = (message, name, argument) => {
+    throw new ComposerError(`${message} in state "${name}" in "fromASL"`, argument)
+  }
+
+  // validate reference path
+  const check = (path, field, name) => {
+    try {
+      parse(path)
+    } catch (error) {
+      fail(`${error.message} in field "${field}"`, name, path)
+    }
+  }
+
+  // validate payload template
+  const template = (payload, field, name) => {
+    if (Array.isArray(payload)) return payload.forEach(item => template(item, field, name))
+    if (!isObject(payload)) return
+    for (let key in payload) {
+      if (!key.endsWith('.$')) {
+        template(payload[key], field, name)
+      } else if (typeof payload[key] === 'string' && payload[key].startsWith('States.')) {
+        fail(`Unsupported intrinsic function in field "${field}"`, name, payload[key])
+      } else {
+        check(payload[key], field, name)
+      }
+    }
+  }
+
+  // function combinator extracting a path
+  const path = (path, field, name) => {
+    if (path === undefined || path === '$') return []
+    if (path === null) return [composer.function('() => ({})')]
+    check(path, field, name)
+    return [composer.function(code('params', `return get(params, ${JSON.stringify(path)})`, 'get'))]
+  }
+
+  // data flow: InputPath, Parameters, work, ResultSelector, ResultPath, OutputPath
+  // wrapped: work produces a value that is not a dictionary, represented as a dictionary with a single value field
+  const flow = (state, name, work, wrapped = false) => {
+    const components = path(state.InputPath, 'InputPath', name)
+    if (state.Parameters !== undefined) {
+      template(state.Parameters, 'Parameters', name)
+      components.push(composer.function(code('params', `return resolve(${JSON.stringify(state.Parameters)}, params)`, 'resolve')))
+    }
+    components.push(work)
+    if (state.ResultSelector !== undefined) {
+      template(state.ResultSelector, 'ResultSelector', name)
+      components.push(composer.function(wrapped
+        ? code('params', `return resolve(${JSON.stringify(state.ResultSelector)}, unwrap(params))`, 'resolve', 'unwrap')
+        : code('params', `return resolve(${JSON.stringify(state.ResultSelector)}, params)`, 'resolve')))
+      wrapped = false
+    }
+    let result = components.length === 1 ? components[0] : composer.seq(...components)
+    if (state.ResultPath === null) {
+      result = composer.seq(composer.retain(result), ({ params }) => params)
+    } else if (state.ResultPath !== undefined && state.ResultPath !== '$') {
+      check(state.ResultPath, 'ResultPath', name)
+      result = composer.seq(composer.retain(result),
+        composer.function(code('({ params, result })', `return assign(params, ${JSON.stringify(state.ResultPath)}, ${wrapped ? 'unwrap(result)' : 'result'})`, 'assign', ...(wrapped ? ['unwrap'] : []))))
+    }
+    const output = path(state.OutputPath, 'OutputPath', name)
+    return output.length === 0 ? result : composer.seq(result, ...output)
+  }
+
+  // validate list of error names
+  const errors = (names, field, name) => {
+    if (!Array.isArray(names) || names.length === 0 || names.some(name => typeof name !== 'string')) fail(`Invalid field "${field}.ErrorEquals"`, name, names)
+  }
+
+  // Retry field: one retry combinator per retrier, an error is handled by the first matching retrier only
+  const retry = (state, name, body) => {
+    if (state.Retry === undefined) return body
+    if (!Array.isArray(state.Retry)) fail('Invalid field "Retry"', name, state.Retry)
+    const previous = []
+    for (let retrier of state.Retry) {
+      if (!isObject(retrier)) fail('Invalid field "Retry"', name, retrier)
+      for (let key in retrier) {
+        if (['ErrorEquals', 'IntervalSeconds', 'MaxAttempts', 'BackoffRate', 'MaxDelaySeconds', 'JitterStrategy', 'Comment'].indexOf(key) < 0) {
+          fail(`Unsupported field "Retry.${key}"`, name, retrier)
+        }
+      }
+      errors(retrier.ErrorEquals, 'Retry', name)
+      const { IntervalSeconds = 1, MaxAttempts = 3, BackoffRate = 2, MaxDelaySeconds, JitterStrategy = 'NONE' } = retrier
+      if (!(Number.isInteger(IntervalSeconds) && IntervalSeconds > 0)) fail('Invalid field "Retry.IntervalSeconds"', name, IntervalSeconds)
+      if (!(Number.isInteger(MaxAttempts) && MaxAttempts >= 0)) fail('Invalid field "Retry.MaxAttempts"', name, MaxAttempts)
+      if (!(typeof BackoffRate === 'number' && BackoffRate >= 1)) fail('Invalid field "Retry.BackoffRate"', name, BackoffRate)
+      if (MaxDelaySeconds !== undefined && !(Number.isInteger(MaxDelaySeconds) && MaxDelaySeconds > 0)) fail('Invalid field "Retry.MaxDelaySeconds"', name, MaxDelaySeconds)
+      if (['FULL', 'NONE'].indexOf(JitterStrategy) < 0) fail('Invalid field "Retry.JitterStrategy"', name, JitterStrategy)
+      const test = `matches(error, ${JSON.stringify(retrier.ErrorEquals)})` + (previous.length ? ` && !matches(error, ${JSON.stringify(previous)})` : '')
+      const options = { count: MaxAttempts, delay: IntervalSeconds * 1000, factor: BackoffRate, jitter: JitterStrategy === 'FULL' ? 1 : 0, when: code('({ error })', `return ${test}`, 'matches') }
+      if (MaxDelaySeconds !== undefined) options.maxDelay = MaxDelaySeconds * 1000
+      body = composer.retry(options, body)
+      previous.push(...retrier.ErrorEquals)
+    }
+    return body
+  }
+
+  // fail if any branch of a parallel or map combinator failed
+  const join = () => composer.function(code('({ value })', 'const failed = value.find(result => result.error !== undefined)\nreturn failed !== undefined ? { error: failed.error } : { value }'))
+
+  // translate a state to a composition, transitions are handled by the caller
+  const translate = (state, name, prefix) => {
+    switch (state.Type) {
+      case 'Task': {
+        if (typeof state.Resource !== 'string') fail('Missing field "Resource"', name)
+        let action = state.Resource
+        if (action.startsWith('arn:')) {
+          const match = /^arn:[^:]+:lambda:[^:]*:[^:]*:function:([^:]+)(:[^:]+)?$/.exec(action)
+          if (match === null) fail('Unsupported resource', name, action)
+          action = match[1]
+        }
+        let work = composer.action(action)
+        if (state.TimeoutSeconds !== undefined) {
+          if (!(Number.isInteger(state.TimeoutSeconds) && state.TimeoutSeconds > 0)) fail('Invalid field "TimeoutSeconds"', name, state.TimeoutSeconds)
+          work = composer.timeout(state.TimeoutSeconds * 1000, work)
+        }
+        return retry(state, name, flow(state, name, work))
+      }
+      case 'Pass':
+        return flow(state, name, state.Result !== undefined ? composer.literal(state.Result) : composer.empty(), state.Result !== undefined && !isObject(state.Result))
+      case 'Wait': {
+        const modes = ['Seconds', 'Timestamp', 'SecondsPath', 'TimestampPath'].filter(field => state[field] !== undefined)
+        if (modes.length !== 1) fail('Expected exactly one of fields "Seconds", "Timestamp", "SecondsPath", "TimestampPath"', name)
+        let work
+        if (state.Seconds !== undefined) {
+          if (!(Number.isInteger(state.Seconds) && state.Seconds >= 0)) fail('Invalid field "Seconds"', name, state.Seconds)
+          work = composer.sleep(state.Seconds * 1000)
+        } else if (state.Timestamp !== undefined) {
+          if (typeof state.Timestamp !== 'string' || isNaN(Date.parse(state.Timestamp))) fail('Invalid field "Timestamp"', name, state.Timestamp)
+          work = composer.sleepUntil(composer.literal(state.Timestamp))
+        } else if (state.SecondsPath !== undefined) {
+          check(state.SecondsPath, 'SecondsPath', name)
+          work = composer.sleepUntil(composer.function(code('params', `return Date.now() + 1000 * get(params, ${JSON.stringify(state.SecondsPath)})`, 'get')))
+        } else {
+          check(state.TimestampPath, 'TimestampPath', name)
+          work = composer.sleepUntil(composer.function(code('params', `return get(params, ${JSON.stringify(state.TimestampPath)})`, 'get')))
+        }
+        return flow(state, name, work)
+      }
+      case 'Succeed':
+        return flow(state, name, composer.empty())
+      case 'Fail': {
+        if (state.Error !== undefined && state.ErrorPath !== undefined) fail('Expected at most one of fields "Error", "ErrorPath"', name)
+        if (state.Cause !== undefined && state.CausePath !== undefined) fail('Expected at most one of fields "Cause", "CausePath"', name)
+        if (state.ErrorPath === undefined && state.CausePath === undefined) {
+          return composer.function(`() => ({ error: ${JSON.stringify({ Error: state.Error, Cause: state.Cause })} })`)
+        }
+        const field = (value, path, field) => {
+          if (path === undefined) return JSON.stringify(value)
+          check(path, field, name)
+          return `get(params, ${JSON.stringify(path)})`
+        }
+        return composer.function(code('params',
+          `return { error: { Error: ${field(state.Error, state.ErrorPath, 'ErrorPath')}, Cause: ${field(state.Cause, state.CausePath, 'CausePath')} } }`, 'get'))
+      }
+      case 'Parallel': {
+        if (!Array.isArray(state.Branches) || state.Branches.length === 0) fail('Invalid field "Branches"', name, state.Branches)
+        const branches = state.Branches.map((branch, index) => machine(branch, `${prefix}${name}/${index}/`))
+        return retry(state, name, flow(state, name, composer.seq(composer.parallel(...branches), join()), true))
+      }
+      case 'Map': {
+        if ((state.Iterator === undefined) === (state.ItemProcessor === undefined)) fail('Expected exactly one of fields "Iterator", "ItemProcessor"', name)
+        const processor = Object.assign({}, state.Iterator || state.ItemProcessor)
+        if (processor.ProcessorConfig !== undefined) {
+          if (!isObject(processor.ProcessorConfig) || Object.keys(processor.ProcessorConfig).some(key => key !== 'Mode') ||
+            processor.ProcessorConfig.Mode !== 'INLINE') fail('Unsupported field "ItemProcessor.ProcessorConfig"', name, processor.ProcessorConfig)
+          delete processor.ProcessorConfig
+        }
+        const items = state.ItemsPath === undefined ? '$' : state.ItemsPath
+        check(items, 'ItemsPath', name)
+        // an array input is represented as a dictionary with a single value field
+        const select = composer.function(code('params', `const items = get(params, ${JSON.stringify(items)})\n` +
+          'if (Array.isArray(items)) return { value: items }\n' +
+          'if (items !== null && typeof items === \'object\' && Object.keys(items).length === 1 && Array.isArray(items.value)) return items\n' +
+          `throw new Error(${JSON.stringify(`Invalid path "${items}": not an array`)})`, 'get'))
+        const concurrency = state.MaxConcurrency === undefined ? 0 : state.MaxConcurrency
+        if (!(Number.isInteger(concurrency) && concurrency >= 0)) fail('Invalid field "MaxConcurrency"', name, state.MaxConcurrency)
+        const body = machine(processor, `${prefix}${name}/`)
+        const map = concurrency > 0 ? composer.map({ concurrency }, body) : composer.map(body)
+        return retry(state, name, flow(state, name, composer.seq(select, map, join()), true))
+      }
+      default:
+        fail(`Unsupported state type "${state.Type}"`, name)
+    }
+  }
+
+  // translate a state machine or branch to a composition
+  const machine = (definition, prefix = '') => {
+    const where = prefix ? ` in branch "${prefix.substring(0, prefix.length - 1)}"` : ''
+    if (!isObject(definition)) throw new ComposerError(`Invalid state machine${where} in "fromASL"`, definition)
+    for (let key in definition) {
+      if (['StartAt', 'States', 'Comment', 'Version', 'TimeoutSeconds'].indexOf(key) < 0 || (prefix && ['Version', 'TimeoutSeconds'].indexOf(key) >= 0)) {
+        throw new ComposerError(`Unsupported field "${key}"${where} in "fromASL"`, definition)
+      }
+    }
+    if (!isObject(definition.States)) throw new ComposerError(`Missing field "States"${where} in "fromASL"`, definition)
+    const names = Object.keys(definition.States)
+    if (names.indexOf(definition.StartAt) < 0) throw new ComposerError(`Invalid field "StartAt"${where} in "fromASL"`, definition.StartAt)
+
+    // validate states and transitions
+    const linear = names.every(name => {
+      const state = definition.States[name]
+      const qualified = prefix + name
+      if (!isObject(state)) fail('Invalid state', qualified, state)
+      if (!Object.prototype.hasOwnProperty.call(fields, state.Type)) fail(`Unsupported state type "${state.Type}"`, qualified)
+      for (let key in state) {
+        if (key !== 'Type' && key !== 'Comment' && fields[state.Type].indexOf(key) < 0) fail(`Unsupported field "${key}"`, qualified, state[key])
+      }
+      const target = (next, field) => {
+        if (names.indexOf(next) < 0) fail(`Unknown state "${next}" in field "${field}"`, qualified)
+      }
+      if (fields[state.Type].indexOf('End') >= 0) {
+        if ((state.End === true) === (state.Next !== undefined)) fail('Expected exactly one of fields "Next", "End"', qualified)
+        if (state.Next !== undefined) target(state.Next, 'Next')
+      }
+      if (state.Type === 'Choice') {
+        if (!Array.isArray(state.Choices) || state.Choices.length === 0) fail('Invalid field "Choices"', qualified, state.Choices)
+        state.Choices.forEach((rule, index) => {
+          validate(rule, `Choices[${index}]`, qualified, true)
+          target(rule.Next, `Choices[${index}].Next`)
+        })
+        if (state.Default !== undefined) target(state.Default, 'Default')
+      }
+      if (state.Catch !== undefined) {
+        if (!Array.isArray(state.Catch)) fail('Invalid field "Catch"', qualified, state.Catch)
+        state.Catch.forEach((catcher, index) => {
+          if (!isObject(catcher)) fail('Invalid field "Catch"', qualified, catcher)
+          for (let key in catcher) {
+            if (['ErrorEquals', 'Next', 'ResultPath', 'Comment'].indexOf(key) < 0) fail(`Unsupported field "Catch[${index}].${key}"`, qualified, catcher)
+          }
+          errors(catcher.ErrorEquals, `Catch[${index}]`, qualified)
+          target(catcher.Next, `Catch[${index}].Next`)
+          if (catcher.ResultPath !== undefined && catcher.ResultPath !== null) check(catcher.ResultPath, `Catch[${index}].ResultPath`, qualified)
+        })
+      }
+      return state.Type !== 'Choice' && state.Catch === undefined
+    })
+
+    let composition
+    const chain = []
+    for (let name = definition.StartAt; name !== undefined && chain.indexOf(name) < 0; name = definition.States[name].Next) chain.push(name)
+    if (linear && chain.every(name => definition.States[name].Next === undefined || chain.indexOf(definition.States[name].Next) > chain.indexOf(name))) {
+      // a sequence of states
+      const components = chain.map(name => translate(definition.States[name], prefix + name, prefix))
+      composition = components.length === 1 ? components[0] : composer.seq(...components)
+    } else {
+      // a loop dispatching on the name of the current state
+      const cases = {}
+      for (let name of names) {
+        const state = definition.States[name]
+        const qualified = prefix + name
+        const next = state.Next === undefined ? null : state.Next
+        if (state.Type === 'Choice') {
+          cases[name] = composer.seq(...path(state.InputPath, 'InputPath', qualified),
+            composer.function(code('params',
+              `const rules = ${JSON.stringify(state.Choices)}\n` +
+              'const rule = rules.find(rule => evaluate(rule, params))\n' +
+              (state.Default !== undefined
+                ? `state = rule !== undefined ? rule.Next : ${JSON.stringify(state.Default)}`
+                : `if (rule === undefined) return { error: { Error: 'States.NoChoiceMatched', Cause: ${JSON.stringify(`No choice rule matched in state "${qualified}"`)} } }\nstate = rule.Next`),
+              'evaluate')),
+            ...path(state.OutputPath, 'OutputPath', qualified))
+        } else if (state.Catch !== undefined) {
+          cases[name] = composer.seq(composer.retain_catch(translate(state, qualified, prefix)),
+            composer.function(code('({ params, result })',
+              `if (result.error === undefined) {\nstate = ${JSON.stringify(next)}\nreturn result\n}\n` +
+              `const catchers = ${JSON.stringify(state.Catch)}\n` +
+              'const catcher = catchers.find(catcher => matches(result.error, catcher.ErrorEquals))\n' +
+              'if (catcher === undefined) return result\n' +
+              'state = catcher.Next\n' +
+              'return catcher.ResultPath === null ? params : assign(params, catcher.ResultPath === undefined ? \'$\' : catcher.ResultPath, describe(result.error))',
+              'matches', 'assign')))
+        } else {
+          cases[name] = composer.seq(translate(state, qualified, prefix), composer.function(`() => { state = ${JSON.stringify(next)} }`))
+        }
+      }
+      let state = definition.StartAt
+      composition = composer.let({ state }, composer.while(() => state !== null, composer.switch(() => state, cases)))
+    }
+    if (definition.TimeoutSeconds !== undefined) {
+      if (!(Number.isInteger(definition.TimeoutSeconds) && definition.TimeoutSeconds > 0)) throw new ComposerError('Invalid field "TimeoutSeconds" in "fromASL"', definition.TimeoutSeconds)
+      composition = composer.timeout(definition.TimeoutSeconds * 1000, composition)
+    }
+    return composition
+  }
+
+  // validate choice rule
+  const validate = (rule, field, name, top) => {
+    if (!isObject(rule)) fail(`Invalid field "${field}"`, name, rule)
+    const keys = Object.keys(rule).filter(key => key !== 'Comment' && !(top && key === 'Next'))
+    if (top && typeof rule.Next !== 'string') fail(`Missing field "${field}.Next"`, name)
+    if (keys.length === 1 && (keys[0] === 'And' || keys[0] === 'Or')) {
+      if (!Array.isArray(rule[keys[0]]) || rule[keys[0]].length === 0) fail(`Invalid field "${field}.${keys[0]}"`, name, rule[keys[0]])
+      return rule[keys[0]].forEach((rule, index) => validate(rule, `${field}.${keys[0]}[${index}]`, name))
+    }
+    if (keys.length === 1 && keys[0] === 'Not') return validate(rule.Not, `${field}.Not`, name)
+    if (keys.length !== 2 || keys.indexOf('Variable') < 0) fail(`Invalid choice rule in field "${field}"`, name, rule)
+    check(rule.Variable, `${field}.Variable`, name)
+    const operator = keys.find(key => key !== 'Variable')
+    if (operators.indexOf(operator) < 0) fail(`Unsupported choice rule operator "${operator}" in field "${field}"`, name, rule)
+    if (operator.endsWith('Path')) check(rule[operator], `${field}.${operator}`, name)
+  }
+
+  // choice rule testing if a variable is truthy like the conductor does
+  const truthy = (Variable, Next) => ({
+    And: [
+      { Variable, IsPresent: true },
+      { Not: { Variable, IsNull: true } },
+      { Not: { Variable, BooleanEquals: false } },
+      { Not: { Variable, NumericEquals: 0 } },
+      { Not: { Variable, StringEquals: '' } }
+    ],
+    Next
+  })
+
+  // order states depth first from start state
+  const order = (states, start) => {
+    const result = {}
+    const visit = name => {
+      if (name === undefined || Object.prototype.hasOwnProperty.call(result, name)) return
+      const state = result[name] = states[name]
+      visit(state.Next)
+      for (let choice of state.Choices || []) visit(choice.Next)
+      visit(state.Default)
+      for (let catcher of state.Catch || []) visit(catcher.Next)
+    }
+    visit(start)
+    return result
+  }
+
+  // translate a lowered composition to a states language definition
+  const toASL = (composition, { resource = '/{namespace}/{name}' }) => {
+    // resource for action
+    const task = name => {
+      const [, namespace, ...rest] = name.split('/')
+      return resource.replace(/\{namespace\}/g, namespace).replace(/\{name\}/g, rest.join('/'))
+    }
+
+    // reserve a fresh state name
+    const reserve = (scope, base) => {
+      let name = base
+      for (let i = 2; Object.prototype.hasOwnProperty.call(scope, name); i++) name = `${base} ${i}`
+      scope[name] = null
+      return name
+    }
+
+    // add a state
+    const add = (scope, base, state) => {
+      const name = reserve(scope, base)
+      scope[name] = state
+      return name
+    }
+
+    const transition = next => next === null ? { End: true } : { Next: next }
+
+    // name of the next state, adding a final state if there is none
+    const target = (scope, next) => next !== null ? next : add(scope, 'end', { Type: 'Pass', End: true })
+
+    // state running a composition: a task for an action, otherwise a parallel state with a single branch
+    const block = (node, where) => node.type === 'action' && node.input === undefined && node.output === undefined
+      ? { state: { Type: 'Task', Resource: task(node.name) }, result: '' }
+      : { state: { Type: 'Parallel', Branches: [branch(node, where)] }, result: '[0]' }
+
+    // state running a composition in place of the composition
+    const wrap = (node, where) => {
+      const { state, result } = block(node, where)
+      if (result) state.OutputPath = `$${result}`
+      return state
+    }
+
+    // state running a composition on field input of the state input and storing the output in field result
+    const capture = (scope, base, node, next, where) => {
+      const { state, result } = block(node, where)
+      const start = add(scope, base, Object.assign(state, { InputPath: '$.input', ResultPath: '$.result', Next: next }))
+      return { start, result: `$.result${result}` }
+    }
+
+    // state saving the state input in field input
+    const save = next => ({ Type: 'Pass', Parameters: { 'input.$': '$' }, Next: next })
+
+    // states failing if the state input is an error object
+    const raise = (scope, next) => {
+      const fail = add(scope, 'fail', { Type: 'Fail', ErrorPath: '$.error.Error', CausePath: '$.error.Cause' })
+      return add(scope, 'raise', { Type: 'Choice', Choices: [{ Variable: '$.error', IsPresent: true, Next: fail }], Default: target(scope, next) })
+    }
+
+    // states catching errors: the error is stored in field error like with the conductor
+    const handle = (scope, next) => add(scope, 'catch', { Type: 'Pass', Parameters: { 'error.$': '$' }, Next: next })
+
+    const unsupported = (what, where) => {
+      throw new ComposerError(`Unsupported ${what} at composition${where} in "toASL"`)
+    }
+
+    // payload template of a Pass state computing the mapping of a transform combinator
+    const payload = (mapping, where) => {
+      const segment = /^(?:\.\*|\[\*\]|\.[A-Za-z_$][\w$]*|\[-?\d+\]|\["(?:[^"\\]|\\.)*"\]|\['(?:[^'\\]|\\.)*'\])/
+      // JSONPath of an expression without functions
+      const path = expression => {
+        let result = '$'
+        let rest = expression.substring(1)
+        let match
+        while ((match = segment.exec(rest))) {
+          const token = match[0]
+          if (/^\[-/.test(token)) unsupported(`negative index in expression ${JSON.stringify(expression)} of "transform" combinator`, where)
+          if (token[1] === '"') {
+            result += `['${JSON.parse(token.slice(1, -1)).replace(/['\\]/g, '\\$&')}']`
+          } else {
+            result += token === '.*' ? '[*]' : token
+          }
+          rest = rest.substring(token.length)
+        }
+        if (rest.trim() !== '') unsupported(`function in expression ${JSON.stringify(expression)} of "transform" combinator`, where)
+        return result
+      }
+      const literal = value => isObject(value) && Object.keys(value).length === 1 && Object.prototype.hasOwnProperty.call(value, '$literal')
+      // constant value without field names ending with .$
+      const check = value => {
+        if (Array.isArray(value)) value.forEach(check)
+        if (isObject(value)) {
+          for (let key in value) {
+            if (key.endsWith('.$')) unsupported(`field name "${key}" in "transform" combinator`, where)
+            check(value[key])
+          }
+        }
+        return value
+      }
+      // mapping entry in an array
+      const constant = value => {
+        if (literal(value)) return check(value.$literal)
+        if (typeof value === 'string' && value[0] === '$') unsupported('expression in array of "transform" combinator', where)
+        if (Array.isArray(value)) return value.map(constant)
+        if (isObject(value)) {
+          const obj = {}
+          for (let key in value) {
+            if (key.endsWith('.$')) unsupported(`field name "${key}" in "transform" combinator`, where)
+            obj[key] = constant(value[key])
+          }
+          return obj
+        }
+        return value
+      }
+      if (literal(mapping)) return check(mapping.$literal)
+      const template = {}
+      for (let key in mapping) {
+        const value = mapping[key]
+        if (key.endsWith('.$')) unsupported(`field name "${key}" in "transform" combinator`, where)
+        if (typeof value === 'string' && value[0] === '$') {
+          template[`${key}.$`] = path(value)
+        } else if (isObject(value)) {
+          template[key] = payload(value, where)
+        } else {
+          template[key] = constant(value)
+        }
+      }
+      return template
+    }
+
+    // translate a composition to states continuing with next, return start state
+    const emit = (scope, node, next, where) => {
+      if (node.path !== undefined) where = node.path
+      const sequence = components => components.length === 1 ? components[0] : composer.sequence(...components)
+      switch (node.type) {
+        case 'sequence':
+          return node.components.reduceRight((next, component) => emit(scope, component, next, where), next)
+        case 'action':
+          if (node.input !== undefined || node.output !== undefined) unsupported('input or output schema of action', where)
+          return add(scope, node.name.split('/').pop(), Object.assign({ Type: 'Task', Resource: task(node.name) }, transition(next)))
+        case 'literal':
+        case 'value':
+          return add(scope, node.type, Object.assign({ Type: 'Pass', Result: isObject(node.value) ? node.value : { value: node.value } }, transition(next)))
+        case 'transform': {
+          const parameters = payload(node.mapping, where)
+          return add(scope, 'transform', Object.assign({ Type: 'Pass', Parameters: isObject(parameters) ? parameters : { value: parameters } }, transition(next)))
+        }
+        case 'sleep':
+          return add(scope, 'sleep', Object.assign({ Type: 'Wait', Seconds: Math.ceil(node.ms / 1000) }, transition(next)))
+        case 'if_nosave': {
+          const choice = reserve(scope, 'if')
+          const start = emit(scope, node.test, choice, where)
+          scope[choice] = {
+            Type: 'Choice',
+            Choices: [truthy('$.value', target(scope, emit(scope, node.consequent, next, where)))],
+            Default: target(scope, emit(scope, node.alternate, next, where))
+          }
+          return start
+        }
+        case 'if': {
+          const start = reserve(scope, 'if')
+          const choice = reserve(scope, 'if choice')
+          const test = capture(scope, 'if test', node.test, choice, where)
+          scope[start] = save(test.start)
+          scope[choice] = {
+            Type: 'Choice',
+            Choices: [truthy(`${test.result}.value`, target(scope, emit(scope, node.consequent, next, where)))],
+            Default: target(scope, emit(scope, node.alternate, next, where)),
+            OutputPath: '$.input'
+          }
+          return start
+        }
+        case 'while_nosave': {
+          const choice = reserve(scope, 'while')
+          const start = emit(scope, node.test, choice, where)
+          scope[choice] = { Type: 'Choice', Choices: [truthy('$.value', target(scope, emit(scope, node.body, start, where)))], Default: target(scope, next) }
+          return start
+        }
+        case 'while': {
+          const start = reserve(scope, 'while')
+          const choice = reserve(scope, 'while choice')
+          const test = capture(scope, 'while test', node.test, choice, where)
+          scope[start] = save(test.start)
+          scope[choice] = {
+            Type: 'Choice',
+            Choices: [truthy(`${test.result}.value`, target(scope, emit(scope, node.body, start, where)))],
+            Default: target(scope, next),
+            OutputPath: '$.input'
+          }
+          return start
+        }
+        case 'dowhile_nosave': {
+          const choice = reserve(scope, 'dowhile')
+          const start = target(scope, emit(scope, node.body, emit(scope, node.test, choice, where), where))
+          scope[choice] = { Type: 'Choice', Choices: [truthy('$.value', start)], Default: target(scope, next) }
+          return start
+        }
+        case 'dowhile': {
+          const loop = reserve(scope, 'dowhile')
+          const choice = reserve(scope, 'dowhile choice')
+          const start = emit(scope, node.body, loop, where)
+          const test = capture(scope, 'dowhile test', node.test, choice, where)
+          scope[loop] = save(test.start)
+          scope[choice] = { Type: 'Choice', Choices: [truthy(`${test.result}.value`, start)], Default: target(scope, next), OutputPath: '$.input' }
+          return start
+        }
+        case 'try': {
+          const handler = handle(scope, target(scope, emit(scope, node.handler, raise(scope, next), where)))
+          return add(scope, 'try', Object.assign(wrap(node.body, where), { Catch: [{ ErrorEquals: ['States.ALL'], Next: handler }] }, transition(next)))
+        }
+        case 'finally': {
+          const finalizer = target(scope, emit(scope, node.finalizer, raise(scope, next), where))
+          return add(scope, 'finally', Object.assign(wrap(node.body, where), { Catch: [{ ErrorEquals: ['States.ALL'], Next: handle(scope, finalizer) }], Next: finalizer }))
+        }
+        case 'retry': {
+          if (node.when !== undefined) unsupported('"when" option of "retry" combinator', where)
+          const factor = node.factor === undefined ? 2 : node.factor
+          if (factor < 1) unsupported('"factor" option less than 1 of "retry" combinator', where)
+          const retrier = { ErrorEquals: ['States.ALL'], IntervalSeconds: Math.max(1, Math.ceil((node.delay || 0) / 1000)), MaxAttempts: node.count, BackoffRate: factor }
+          if (node.maxDelay !== undefined && node.maxDelay !== null) retrier.MaxDelaySeconds = Math.max(1, Math.ceil(node.maxDelay / 1000))
+          if (node.jitter) retrier.JitterStrategy = 'FULL'
+          return add(scope, 'retry', Object.assign(wrap(sequence(node.components), where), { Retry: [retrier] }, transition(next)))
+        }
+        case 'retain': {
+          const start = reserve(scope, 'retain')
+          const output = reserve(scope, 'retain output')
+          const body = capture(scope, 'retain body', sequence(node.components), output, where)
+          scope[start] = save(body.start)
+          scope[output] = Object.assign({ Type: 'Pass', Parameters: { 'params.$': '$.input', 'result.$': body.result } }, transition(next))
+          return start
+        }
+        case 'parallel':
+          if (node.components.length === 0) return add(scope, 'parallel', Object.assign({ Type: 'Pass', Result: { value: [] } }, transition(next)))
+          return add(scope, 'parallel', Object.assign({
+            Type: 'Parallel',
+            Branches: node.components.map(component => branch(component, where)),
+            ResultSelector: { 'value.$': '$' }
+          }, transition(next)))
+        case 'map': {
+          const state = { Type: 'Map', ItemsPath: '$.value', ItemProcessor: branch(sequence(node.components), where), ResultSelector: { 'value.$': '$' } }
+          if (node.concurrency !== undefined) state.MaxConcurrency = node.concurrency
+          return add(scope, 'map', Object.assign(state, transition(next)))
+        }
+        default:
+          unsupported(`"${node.type}" combinator`, where)
+      }
+    }
+
+    // translate a composition to a state machine or branch
+    const branch = (node, where) => {
+      const scope = {}
+      const start = target(scope, emit(scope, node, null, where))
+      return { StartAt: start, States: order(scope, start) }
+    }
+
+    return branch(composition.lower(portable), '')
+  }
+
+  return {
+    // translate a states language definition to a composition
+    fromASL (definition) {
+      return machine(definition)
+    },
+
+    // translate a composition to a states language definition
+    toASL
+  }
+}
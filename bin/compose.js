@@ -28,9 +28,10 @@ const Module = require('module')
 const path = require('path')
 
 const argv = minimist(process.argv.slice(2), {
-  string: ['debug', 'o'],
-  boolean: ['version', 'ast', 'js', 'file'],
-  alias: { version: 'v' }
+  string: ['debug', 'o', 'param', 'param-file', 'actions', 'resource', 'plugin', 'namespace'],
+  boolean: ['version', 'ast', 'js', 'file', 'run', 'lint', 'dot', 'mermaid', 'lower', 'optimize', 'from-asl', 'to-asl', 'upgrade'],
+  alias: { version: 'v', param: 'p', 'param-file': 'P' },
+  default: { optimize: true }
 })
 
 if (argv.version) {
@@ -52,43 +53,123 @@ Module._resolveFilename = function (request, parent) {
   }
 }
 
-if (argv._.length !== 1 || path.extname(argv._[0]) !== '.js') {
+const sources = argv['from-asl'] || argv.upgrade ? ['.json'] : ['.js', '.json', '.yaml', '.yml']
+
+if (argv._.length !== 1 || sources.indexOf(path.extname(argv._[0])) < 0) {
   console.error('Usage:')
   console.error('  compose composition.js [flags]')
+  console.error('  compose composition.yaml [flags]')
+  console.error('  compose --from-asl machine.json [flags]')
+  console.error('  compose --upgrade composition.json [flags]')
   console.error('Flags:')
   console.error('  --ast                  only output the ast for the composition')
+  console.error('  --dot                  output the control-flow graph of the composition in DOT format')
   console.error('  --file                 write output to a file next to the input file')
+  console.error('  --from-asl             translate an Amazon States Language state machine definition')
   console.error('  --js                   output the conductor action code for the composition')
+  console.error('  --lint                 only report likely mistakes in the composition')
+  console.error('  --namespace NS         namespace of the composition (when using --lint flag, default "_")')
+  console.error('  --lower                graph the lowered composition (when using --dot or --mermaid flag)')
+  console.error('  --mermaid              output the control-flow graph of the composition in Mermaid format')
+  console.error('  --no-optimize          do not simplify the lowered composition')
+  console.error('  --plugin FILE          register the custom combinators of module FILE')
   console.error('  -o FILE                write output to FILE')
+  console.error('  --run                  run the composition locally and output the result')
+  console.error('  -p, --param KEY=VALUE  input parameter KEY with VALUE (when using --run flag)')
+  console.error('  -P, --param-file FILE  input parameters in json FILE (when using --run flag)')
+  console.error('  --actions FILE         module exporting local action stubs (when using --run flag)')
+  console.error('  --to-asl               output an equivalent Amazon States Language state machine definition')
+  console.error('  --upgrade              upgrade a composition file compiled by an older composer version')
+  console.error('  --resource TEMPLATE    resource of task states for actions (when using --to-asl flag)')
   console.error('  -v, --version          output the composer version')
   console.error('  --debug LIST           comma-separated list of debug flags (when using --js flag)')
   process.exit(1)
 }
 
 let composition
+let upgraded
+let graph
+let asl
 let file
+let params = {}
+let actions = {}
 try {
-  composition = composer.parse(require(path.resolve(argv._[0]))) // load and validate composition
-  composition = composition.compile()
+  composer.util.locations = path.dirname(path.resolve(argv._[0])) // record source locations of combinators relative to the composition
+  if (typeof argv.plugin === 'string') argv.plugin = [argv.plugin]
+  for (let plugin of argv.plugin || []) {
+    const { combinators, prefix } = require(path.resolve(plugin))
+    composer.util.register(combinators, prefix) // register custom combinators
+  }
+  if (argv.upgrade) {
+    upgraded = composer.upgrade(JSON.parse(fs.readFileSync(argv._[0], 'utf8'))) // load and upgrade compiled composition
+    composition = upgraded.ast
+  } else if (argv['from-asl']) {
+    composition = composer.fromASL(JSON.parse(fs.readFileSync(argv._[0], 'utf8'))) // load and translate state machine
+  } else if (path.extname(argv._[0]) !== '.js') {
+    composition = composer.fromYAML(fs.readFileSync(argv._[0], 'utf8'), { dirname: path.dirname(path.resolve(argv._[0])) }) // load and translate document
+  } else {
+    composition = composer.parse(require(path.resolve(argv._[0]))) // load and validate composition
+  }
+  if (argv.lint) {
+    const problems = composer.lint(composition, argv.namespace !== undefined ? { namespace: argv.namespace } : {})
+    for (let { path, message } of problems) console.error(`composition${path}: ${message}`)
+    process.exit(problems.length > 0 ? 1 : 0)
+  }
+  if (argv.dot || argv.mermaid) graph = composition.toGraph({ format: argv.dot ? 'dot' : 'mermaid', lower: argv.lower })
+  if (argv['to-asl']) asl = JSON.stringify(composition.toASL(argv.resource !== undefined ? { resource: argv.resource } : {}), null, 4)
+  composition = upgraded || composition.compile({ optimize: argv.optimize })
+  if (argv.run) {
+    if (argv['param-file']) params = JSON.parse(fs.readFileSync(argv['param-file'], 'utf8'))
+    if (typeof argv.param === 'string') argv.param = [argv.param]
+    for (let param of argv.param || []) {
+      const index = param.indexOf('=')
+      if (index < 0) throw Error('Parameter syntax must be "KEY=VALUE"')
+      const value = param.substring(index + 1)
+      try {
+        params[param.substring(0, index)] = JSON.parse(value)
+      } catch (error) {
+        params[param.substring(0, index)] = value
+      }
+    }
+    if (argv.actions) actions = require(path.resolve(argv.actions))
+  }
 } catch (error) {
   error.statusCode = 422
   console.error(error)
   process.exit(422 - 256) // Unprocessable Entity
 }
-if (argv.js) {
-  composition = conductor.generate(composition, argv.debug).action.exec.code
-} else {
-  if (argv.ast) composition = composition.ast
-  composition = JSON.stringify(composition, null, 4)
-}
 if (argv.o) {
   file = argv.o
-} else if (argv.file) {
+} else if (argv.file && !argv.run) {
   const { dir, name } = path.parse(argv._[0])
-  file = path.format({ dir, name, ext: argv.js ? '.conductor.js' : '.json' })
+  file = path.format({ dir, name, ext: graph ? (argv.dot ? '.dot' : '.mmd') : asl ? '.asl.json' : argv.js ? '.conductor.js' : argv.upgrade ? '.upgraded.json' : path.extname(argv._[0]) !== '.js' ? '.composition.json' : '.json' })
 }
-if (file) {
-  fs.writeFileSync(file, composition.concat('\n'), { encoding: 'utf8' })
+if (graph) {
+  output(graph)
+} else if (asl) {
+  output(asl)
+} else if (argv.run) {
+  composer.simulate(composition, params, { actions })
+    .then(result => output(JSON.stringify(result, null, 4)))
+    .catch(error => {
+      error.statusCode = 422
+      console.error(error)
+      process.exit(422 - 256) // Unprocessable Entity
+    })
 } else {
-  console.log(composition)
+  if (argv.js) {
+    composition = conductor.generate(composition, argv.debug).action.exec.code
+  } else {
+    if (argv.ast) composition = composition.ast
+    composition = JSON.stringify(composition, null, 4)
+  }
+  output(composition)
+}
+
+function output (text) {
+  if (file) {
+    fs.writeFileSync(file, text.concat('\n'), { encoding: 'utf8' })
+  } else {
+    console.log(text)
+  }
 }
@@ -25,12 +25,13 @@ const fqn = require('../fqn')
 const fs = require('fs')
 const json = require('../package.json')
 const minimist = require('minimist')
+const Module = require('module')
 const path = require('path')
 
 const argv = minimist(process.argv.slice(2), {
-  string: ['apihost', 'apiversion', 'auth', 'source', 'annotation', 'annotation-file', 'debug', 'kind'],
+  string: ['apihost', 'apiversion', 'auth', 'source', 'annotation', 'annotation-file', 'param', 'param-file', 'debug', 'kind', 'plugin', 'allow-module'],
   boolean: ['insecure', 'version', 'overwrite', 'basic', 'bearer'],
-  alias: { auth: 'u', insecure: 'i', version: 'v', annotation: 'a', 'annotation-file': 'A', overwrite: 'w', timeout: 't', memory: 'm', logsize: 'l' }
+  alias: { auth: 'u', insecure: 'i', version: 'v', annotation: 'a', 'annotation-file': 'A', param: 'p', 'param-file': 'P', overwrite: 'w', timeout: 't', memory: 'm', logsize: 'l' }
 })
 
 if (argv.version) {
@@ -38,20 +39,39 @@ if (argv.version) {
   process.exit(0)
 }
 
+// resolve module even if not in default path
+const _resolveFilename = Module._resolveFilename
+Module._resolveFilename = function (request, parent) {
+  if (request.startsWith(json.name)) {
+    try {
+      return _resolveFilename(request, parent)
+    } catch (error) {
+      return require.resolve(request.replace(json.name, '..'))
+    }
+  } else {
+    return _resolveFilename(request, parent)
+  }
+}
+
 if (argv._.length !== 2 || path.extname(argv._[1]) !== '.json') {
   console.error('Usage:')
   console.error('  deploy composition composition.json [flags]')
   console.error('Flags:')
   console.error('  -a, --annotation KEY=VALUE        add KEY annotation with VALUE')
   console.error('  -A, --annotation-file KEY=FILE    add KEY annotation with FILE content')
+  console.error('  --allow-module NAME               allow function combinators to require module NAME')
   console.error('  --apihost HOST                    API HOST')
   console.error('  --apiversion VERSION              API VERSION')
   console.error('  --basic                           force basic authentication. Note: this option can only be chosen for CF-based namespaces')
   console.error('  --bearer                          force bearer token authentication')
+  console.error('  --function-timeout LIMIT          the timeout LIMIT in milliseconds for each function combinator (default 100)')
   console.error('  -i, --insecure                    bypass certificate checking')
   console.error('  --kind KIND                       the KIND of the conductor action runtime')
   console.error('  -l, --logsize LIMIT               the maximum log size LIMIT in MB for the conductor action (default 10)')
   console.error('  -m, --memory LIMIT                the maximum memory LIMIT in MB for the conductor action (default 256)')
+  console.error('  -p, --param KEY=VALUE             bind default parameter KEY to VALUE')
+  console.error('  -P, --param-file FILE             bind default parameters from FILE in JSON format')
+  console.error('  --plugin FILE                     register the custom combinators of module FILE')
   console.error('  -t, --timeout LIMIT               the timeout LIMIT in milliseconds for the conductor action (default 60000)')
   console.error('  -u, --auth KEY                    authorization KEY')
   console.error('  -v, --version                     output the composer version')
@@ -61,13 +81,12 @@ if (argv._.length !== 2 || path.extname(argv._[1]) !== '.json') {
 }
 let composition
 try {
-  composition = JSON.parse(fs.readFileSync(argv._[1], 'utf8'))
-  if (typeof composition !== 'object') throw new Error('Composition must be a dictionary')
-  if (typeof composition.ast !== 'object') throw new Error('Composition must have a field "ast" of type dictionary')
-  if (typeof composition.composition !== 'object') throw new Error('Composition must have a field "composition" of type dictionary')
-  if (typeof composition.version !== 'string') throw new Error('Composition must have a field "version" of type string')
-  if (composition.actions !== undefined && !Array.isArray(composition.actions)) throw new Error('Optional field "actions" must be an array')
-  composition.composition = composer.parse(composition.composition) // validate composition
+  if (typeof argv.plugin === 'string') argv.plugin = [argv.plugin]
+  for (let plugin of argv.plugin || []) {
+    const { combinators, prefix } = require(path.resolve(plugin))
+    composer.util.register(combinators, prefix) // register custom combinators
+  }
+  composition = composer.upgrade(JSON.parse(fs.readFileSync(argv._[1], 'utf8'))) // validate composition, upgrade older formats
   if (typeof argv.annotation === 'string') argv.annotation = [argv.annotation]
   composition.annotations = []
   for (let annotation of [...(argv.annotation || [])]) {
@@ -81,6 +100,25 @@ try {
     if (index < 0) throw Error('Annotation syntax must be "KEY=FILE"')
     composition.annotations.push({ key: annotation.substring(0, index), value: fs.readFileSync(annotation.substring(index + 1), 'utf8') })
   }
+  const parameters = {}
+  if (typeof argv['param-file'] === 'string') argv['param-file'] = [argv['param-file']]
+  for (let file of argv['param-file'] || []) {
+    const params = JSON.parse(fs.readFileSync(file, 'utf8'))
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) throw Error('Parameter file must contain a JSON dictionary')
+    Object.assign(parameters, params)
+  }
+  if (typeof argv.param === 'string') argv.param = [argv.param]
+  for (let param of argv.param || []) {
+    const index = param.indexOf('=')
+    if (index < 0) throw Error('Parameter syntax must be "KEY=VALUE"')
+    const value = param.substring(index + 1)
+    try {
+      parameters[param.substring(0, index)] = JSON.parse(value) // JSON value
+    } catch (error) {
+      parameters[param.substring(0, index)] = value // string
+    }
+  }
+  composition.parameters = Object.keys(parameters).map(key => ({ key, value: parameters[key] }))
 } catch (error) {
   error.statusCode = 422
   console.error(error)
@@ -109,7 +147,26 @@ if (typeof argv.memory !== 'undefined' && typeof argv.memory !== 'number') {
 if (typeof argv.logsize !== 'undefined' && typeof argv.logsize !== 'number') {
   throw Error('Maximum log size must be a number')
 }
-client(options, argv.basic, argv.bearer).compositions.deploy(composition, argv.overwrite, argv.debug, argv.kind, argv.timeout, argv.memory, argv.logsize)
+if (typeof argv['function-timeout'] !== 'undefined' && !(Number.isInteger(argv['function-timeout']) && argv['function-timeout'] > 0)) {
+  throw Error('Function timeout must be a positive integer')
+}
+composition.sandbox = {}
+if (typeof argv['function-timeout'] !== 'undefined') composition.sandbox.timeout = argv['function-timeout']
+if (typeof argv['allow-module'] === 'string') argv['allow-module'] = [argv['allow-module']]
+if (argv['allow-module']) composition.sandbox.modules = argv['allow-module']
+const wsk = client(options, argv.basic, argv.bearer)
+Promise.resolve()
+  .then(() => {
+    if (!unresolved(composition.ast)) return
+    // inline the deployed compositions included with the inline option and compile again
+    return wsk.compositions.resolve(composition.ast).then(ast => {
+      const compiled = ast.compile()
+      const names = (compiled.actions || []).map(({ name }) => name)
+      const actions = (compiled.actions || []).concat((composition.actions || []).filter(({ name }) => names.indexOf(name) < 0))
+      Object.assign(composition, compiled, actions.length > 0 ? { actions } : {})
+    })
+  })
+  .then(() => wsk.compositions.deploy(composition, argv.overwrite, argv.debug, argv.kind, argv.timeout, argv.memory, argv.logsize))
   .then(actions => {
     const names = actions.map(action => action.name)
     console.log(`ok: created action${actions.length > 1 ? 's' : ''} ${names}`)
@@ -119,3 +176,10 @@ client(options, argv.basic, argv.bearer).compositions.deploy(composition, argv.o
     console.error(error)
     process.exit(error.statusCode - 256)
   })
+
+// check for inline includes of deployed compositions that have not been resolved
+function unresolved (node) {
+  if (typeof node !== 'object' || node === null) return false
+  if (node.type === 'include' && node.composition === undefined) return true
+  return Object.keys(node).some(key => unresolved(node[key]))
+}
@@ -0,0 +1,47 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import * as openwhisk from 'openwhisk'
+import { ConductorAction, NamedComposition } from './conductor'
+import { Composition } from './composer'
+
+export = client
+
+/** Return an openwhisk client capable of deploying compositions. */
+declare function client (options?: openwhisk.Options, basic?: boolean, bearer?: boolean): client.Client
+
+declare namespace client {
+  /** An action definition as passed to the openwhisk client. */
+  interface ActionDefinition {
+    name: string
+    action: any
+    [option: string]: any
+  }
+
+  /** Management class for compositions. */
+  interface Compositions {
+    /** deploy the embedded actions and the conductor action of a composition */
+    deploy (composition: NamedComposition, overwrite?: boolean, debug?: string, kind?: string, timeout?: number, memory?: number, logs?: number, httpOptions?: { [option: string]: any }): Promise<Array<ActionDefinition | ConductorAction>>
+
+    /** inline the deployed compositions included with the inline option */
+    resolve (composition: Composition): Promise<Composition>
+  }
+
+  interface Client extends openwhisk.Client {
+    compositions: Compositions
+  }
+}
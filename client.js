@@ -153,4 +153,17 @@ class Compositions {
       )
       .then(() => actions)
   }
+
+  // inline the deployed compositions included with the inline option
+  resolve (composition) {
+    return composition.resolve(name => this.actions.get({ name }).then(action => {
+      const annotation = (action.annotations || []).find(annotation => annotation.key === 'conductor')
+      if (!annotation) throw new Error(`Action "${name}" is not a composition`)
+      // embedded action definitions are already deployed
+      return JSON.parse(JSON.stringify(annotation.value), (key, value) => {
+        if (value !== null && typeof value === 'object' && value.type === 'action') delete value.action
+        return value
+      })
+    }))
+  }
 }
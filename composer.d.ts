@@ -0,0 +1,343 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export = composer
+
+declare const composer: composer.Composer
+
+declare namespace composer {
+  /** A JSON dictionary. */
+  interface Dictionary { [key: string]: any }
+
+  /** A function combinator body. Functions are serialized: they cannot capture variables except let variables. */
+  type Fun = (params: Dictionary) => any
+
+  /** A composition, an action name, a function, or null for the empty composition. */
+  type Task = Composition | string | Fun | null
+
+  /** A dictionary or array of tasks. */
+  type Tasks = { [key: string]: Task } | Task[]
+
+  /** A JSON value. */
+  type Value = string | number | boolean | null | Value[] | { [key: string]: Value }
+
+  /** Limits of an action. */
+  interface Limits {
+    timeout?: number
+    memory?: number
+    logs?: number
+    concurrency?: number
+  }
+
+  /** An action code definition. */
+  interface Exec {
+    kind: string
+    code?: string
+    components?: string[]
+    [key: string]: any
+  }
+
+  /** An action definition embedded in a composition. */
+  interface EmbeddedAction {
+    exec: Exec
+    limits?: Limits
+    parameters?: Array<{ key: string, value: any }>
+  }
+
+  /** Options of the action combinator. */
+  interface ActionOptions {
+    /** action code, function, or exec object */
+    action?: string | ((params: Dictionary) => any) | Exec
+    /** file to read the action code from */
+    filename?: string
+    /** components of a native sequence */
+    sequence?: string[]
+    limits?: Limits
+    /** default parameters of the action */
+    parameters?: Dictionary
+    /** json schema of the input parameters of the action */
+    input?: Dictionary
+    /** json schema of the output parameters of the action */
+    output?: Dictionary
+  }
+
+  /** Options of the retry combinator. */
+  interface RetryOptions {
+    count: number
+    delay?: number
+    factor?: number
+    maxDelay?: number
+    jitter?: number
+    when?: string | ((result: Dictionary) => boolean)
+    detach?: boolean
+  }
+
+  /** Options of the map combinator. */
+  interface MapOptions {
+    concurrency?: number
+  }
+
+  /** Options of the breaker combinator. */
+  interface BreakerOptions {
+    key: string
+    failures: number
+    resetAfter: number
+  }
+
+  /** A step of the saga combinator. */
+  interface SagaStep {
+    do: Task
+    undo?: Task
+  }
+
+  /** Options of the include combinator. */
+  interface IncludeOptions {
+    /** inline the deployed composition once resolved (default false) */
+    inline?: boolean
+    /** directory of a relative file name (default directory of the calling module) */
+    dirname?: string
+  }
+
+  /** Options of the compile method. */
+  interface CompileOptions {
+    /** simplify the lowered composition (default true) */
+    optimize?: boolean
+  }
+
+  /** Output of the compile method. */
+  interface CompiledComposition {
+    composition: Composition
+    ast: Composition
+    version: string
+    actions?: Array<{ name: string, action: EmbeddedAction }>
+  }
+
+  interface GraphNode {
+    id: string
+    type?: string
+    path?: string
+    shape: 'box' | 'rounded' | 'diamond' | 'fork' | 'join' | 'terminal'
+    label: string
+  }
+
+  interface GraphEdge {
+    from: string
+    to: string
+    kind: 'flow' | 'loop' | 'fork' | 'join' | 'catch'
+    label?: string
+  }
+
+  interface Graph {
+    nodes: GraphNode[]
+    edges: GraphEdge[]
+  }
+
+  /** Options of the toGraph method. */
+  interface GraphOptions {
+    format?: 'dot' | 'mermaid'
+    /** graph the lowered composition */
+    lower?: boolean
+  }
+
+  /** Options of the toASL method. */
+  interface ASLOptions {
+    /** resource of the task state for an action, {namespace} and {name} are replaced (default /{namespace}/{name}) */
+    resource?: string
+  }
+
+  /** Options of the fromYAML method. */
+  interface YAMLOptions {
+    /** directory of the file names of embedded action definitions (default current directory) */
+    dirname?: string
+  }
+
+  /** Options of the lint method. */
+  interface LintOptions {
+    /** namespace of the composition (default _) */
+    namespace?: string
+  }
+
+  interface LintProblem {
+    path: string
+    message: string
+  }
+
+  /** Options of the simulate method. */
+  interface SimulateOptions {
+    /** local action stubs */
+    actions?: { [name: string]: Fun | Composition }
+    /** name of the simulated composition (default composition) */
+    name?: string
+    /** deadline of each simulated conductor action in milliseconds (default 60000) */
+    timeout?: number
+    /** array to collect the log entries of the conductor actions */
+    logs?: string[]
+    /** cpu time limit of each function combinator in milliseconds (default 100) and modules function combinators may require (default all) */
+    sandbox?: { timeout?: number, modules?: string[] }
+  }
+
+  /** A composition object. */
+  interface Composition {
+    readonly type: string
+    /** json path of the combinator (set by compile) */
+    path?: string
+    /** source location of the combinator call (set by the compose command) */
+    location?: string
+    /** fields specific to the combinator type */
+    [field: string]: any
+
+    /** compile composition to the portable json format */
+    compile (options?: CompileOptions): CompiledComposition
+
+    /** recursively lower combinators except for the listed combinators */
+    lower (combinators?: string[]): Composition
+
+    /** resolve the inline includes of deployed compositions given a function returning the ast of a deployed composition */
+    resolve (fetch: (name: string) => Dictionary | Composition | Promise<Dictionary | Composition>): Promise<Composition>
+
+    /** render composition as a control-flow graph */
+    toGraph (options?: GraphOptions & { format?: undefined }): Graph
+    toGraph (options: GraphOptions & { format: 'dot' | 'mermaid' }): string
+
+    /** translate composition to an Amazon States Language state machine definition */
+    toASL (options?: ASLOptions): Dictionary
+  }
+
+  /** Type of a combinator argument in a combinator specification. */
+  type ArgType = 'name' | 'value' | 'object' | 'compositions' | 'number' | 'string' | 'boolean' | 'function' | 'undefined'
+
+  /** An argument of a combinator specification. Arguments without type are compositions. */
+  interface ArgSpec {
+    readonly name: string
+    readonly type?: ArgType
+    readonly optional?: boolean
+  }
+
+  /** A combinator specification. */
+  interface CombinatorSpec {
+    readonly args?: readonly ArgSpec[]
+    /** accept a variable number of compositions after the named arguments */
+    readonly components?: boolean
+    /** lowering function taking the arguments in order */
+    readonly def?: (...args: any[]) => Composition
+  }
+
+  /** Type of the value of an argument. */
+  type ArgValue<A> =
+    A extends { type: 'name' | 'string' } ? string
+      : A extends { type: 'number' } ? number
+        : A extends { type: 'boolean' } ? boolean
+          : A extends { type: 'value' } ? Value
+            : A extends { type: 'object' } ? Dictionary
+              : A extends { type: 'compositions' } ? Tasks
+                : A extends { type: ArgType } ? any
+                  : Task
+
+  /** Types of the values of a list of arguments. */
+  type ArgValues<A> =
+    A extends readonly [] ? []
+      : A extends readonly [infer H, ...infer R]
+        ? H extends { optional: true } ? [ArgValue<H>?, ...ArgValues<R>] : [ArgValue<H>, ...ArgValues<R>]
+        : any[]
+
+  /** Factory derived from a combinator specification (declare the specification "as const" for precise types). */
+  type Factory<C> = (...args: C extends { components: true }
+    ? [...ArgValues<C extends { args: infer A } ? A : []>, ...Task[]]
+    : ArgValues<C extends { args: infer A } ? A : []>) => Composition
+
+  interface Util {
+    /** derive combinator methods from a combinator table */
+    declare<T extends { [key: string]: CombinatorSpec }> (combinators: T, prefix?: string): { [K in keyof T]: Factory<T[K]> }
+    /** derive combinator methods from a combinator table and register the combinator types (the lowering functions are required) */
+    register<T extends { [key: string]: CombinatorSpec & { readonly def: (...args: any[]) => Composition } }> (combinators: T, prefix?: string): { [K in keyof T]: Factory<T[K]> }
+    /** composer version */
+    version: string
+    /** record the source locations of combinator calls, relative to this directory if a string */
+    locations: boolean | string
+  }
+
+  interface Composer {
+    util: Util
+
+    // primitive combinators
+    sequence (...components: Task[]): Composition
+    if_nosave (test: Task, consequent: Task, alternate?: Task): Composition
+    switch_nosave (selector: Task, cases: Tasks, otherwise?: Task): Composition
+    while_nosave (test: Task, body: Task): Composition
+    dowhile_nosave (body: Task, test: Task): Composition
+    try (body: Task, handler: Task): Composition
+    finally (body: Task, finalizer: Task): Composition
+    let (declarations: Dictionary, ...components: Task[]): Composition
+    mask (...components: Task[]): Composition
+    action (name: string, options?: ActionOptions): Composition
+    function (fun: Fun | string | Exec): Composition
+    async (...components: Task[]): Composition
+    parallel (...components: Task[]): Composition
+    race (...components: Task[]): Composition
+    any (...components: Task[]): Composition
+    map (options: MapOptions, ...components: Task[]): Composition
+    map (...components: Task[]): Composition
+    dynamic (): Composition
+    delay (detach?: boolean, until?: boolean): Composition
+    timeout (ms: number, ...components: Task[]): Composition
+    breaker (options: BreakerOptions, body: Task, fallback?: Task): Composition
+    validate (schema: Dictionary): Composition
+    transform (mapping: Dictionary): Composition
+
+    // derived combinators
+    empty (): Composition
+    seq (...components: Task[]): Composition
+    if (test: Task, consequent: Task, alternate?: Task): Composition
+    switch (selector: Task, cases: Tasks, otherwise?: Task): Composition
+    while (test: Task, body: Task): Composition
+    dowhile (body: Task, test: Task): Composition
+    repeat (count: number, ...components: Task[]): Composition
+    sleep (ms: number): Composition
+    sleepUntil (date: Task): Composition
+    retry (options: RetryOptions, ...components: Task[]): Composition
+    retry (count: number, ...components: Task[]): Composition
+    saga (steps: SagaStep[]): Composition
+    retain (...components: Task[]): Composition
+    retain_catch (...components: Task[]): Composition
+    value (value: Value): Composition
+    literal (value: Value): Composition
+    merge (...components: Task[]): Composition
+    par (...components: Task[]): Composition
+    include (source: string, options?: IncludeOptions): Composition
+
+    /** detect task type and create corresponding composition object */
+    task (task: Task): Composition
+
+    /** validate and deserialize a json composition, or the ast of a compiled composition */
+    parse (composition: Dictionary): Composition
+
+    /** recognize and upgrade a compiled composition produced by an older composer version */
+    upgrade (composition: Dictionary): CompiledComposition
+
+    /** translate an Amazon States Language state machine definition */
+    fromASL (definition: Dictionary): Composition
+
+    /** translate a YAML or JSON document */
+    fromYAML (source: string, options?: YAMLOptions): Composition
+
+    /** report likely mistakes in a composition */
+    lint (composition: Composition, options?: LintOptions): LintProblem[]
+
+    /** run a composition in process using local action stubs */
+    simulate (composition: Composition | CompiledComposition, params?: Dictionary, options?: SimulateOptions): Promise<Dictionary>
+  }
+}
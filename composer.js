@@ -19,6 +19,7 @@
 
 const fqn = require('./fqn')
 const fs = require('fs')
+const path = require('path')
 const util = require('util')
 
 const version = require('./package.json').version
@@ -32,7 +33,98 @@ class ComposerError extends Error {
   }
 }
 
-const composer = { util: { declare, version } }
+const composer = { util: { declare, register, version, locations: false } }
+
+// combinators registered by plugins: type -> { combinator, factory }
+const plugins = {}
+
+// specification of a registered combinator type
+const lookup = type => Object.prototype.hasOwnProperty.call(plugins, type) ? plugins[type].combinator : undefined
+
+// combinator of a prefixed type whose plugin is not registered, e.g., in the ast of a compiled composition
+const opaque = {}
+
+// nesting depth of composition transformations (no source location capture)
+let internal = 0
+
+// innermost stack frame outside of this module: file, line, and column of the calling code
+function frame () {
+  const limit = Error.stackTraceLimit
+  Error.stackTraceLimit = 50
+  const stack = new Error().stack
+  Error.stackTraceLimit = limit
+  for (let line of stack.split('\n').slice(1)) {
+    const match = /\(?([^\s()]+):(\d+):(\d+)\)?$/.exec(line)
+    if (match && match[1] !== __filename && !match[1].startsWith('node:')) return { file: match[1], line: match[2], column: match[3] }
+  }
+}
+
+// source text of the modules creating compositions (undefined if unreadable)
+const sources = {}
+
+// offset of the closing parenthesis of the call starting at offset, skipping strings and comments
+function close (text, offset) {
+  let depth = 0
+  for (let i = text.indexOf('(', offset); i >= 0 && i < text.length; i++) {
+    const c = text[i]
+    if (c === '\'' || c === '"' || c === '`') {
+      for (i++; i < text.length && text[i] !== c; i++) if (text[i] === '\\') i++
+    } else if (c === '/' && text[i + 1] === '/') {
+      i = text.indexOf('\n', i)
+      if (i < 0) break
+    } else if (c === '/' && text[i + 1] === '*') {
+      i = text.indexOf('*/', i)
+      if (i < 0) break
+      i++
+    } else if (c === '(') {
+      depth++
+    } else if (c === ')' && --depth === 0) {
+      return i
+    }
+  }
+  return text.length
+}
+
+// source locations (file:line:column) of the combinator call creating a composition
+// and of the functions and action names passed directly to the combinator, found in order in the source of the call
+// the file is relative to the composer.util.locations directory if any, its base name otherwise
+function locate (tasks = []) {
+  const caller = frame()
+  if (caller === undefined) return []
+  const base = composer.util.locations
+  const file = typeof base === 'string' ? path.relative(base, caller.file).split(path.sep).join('/') : path.basename(caller.file)
+  const locations = [`${file}:${caller.line}:${caller.column}`]
+  if (!Object.prototype.hasOwnProperty.call(sources, caller.file)) {
+    try {
+      sources[caller.file] = fs.readFileSync(caller.file, 'utf8')
+    } catch (error) {
+      sources[caller.file] = undefined
+    }
+  }
+  const text = sources[caller.file]
+  let offset = text === undefined ? 0 : text.split('\n').slice(0, caller.line - 1).reduce((offset, line) => offset + line.length + 1, caller.column - 1)
+  const end = text === undefined ? 0 : close(text, offset)
+  for (let task of tasks) {
+    const needles = typeof task === 'function' ? [task.toString()] : ['\'', '"', '`'].map(quote => quote + task + quote)
+    let index = -1
+    let length = 0
+    for (let needle of needles) {
+      const i = text === undefined ? -1 : text.indexOf(needle, offset)
+      if (i >= 0 && i + needle.length <= end && (index < 0 || i < index)) {
+        index = i
+        length = needle.length
+      }
+    }
+    if (index < 0) { // not in the call, e.g., passed in a variable
+      locations.push(locations[0])
+    } else {
+      const lines = text.substring(0, index).split('\n')
+      locations.push(`${file}:${lines.length}:${lines[lines.length - 1].length + 1}`)
+      offset = index + length
+    }
+  }
+  return locations
+}
 
 const lowerer = {
   literal (value) {
@@ -70,6 +162,20 @@ const lowerer = {
           composer.finally(() => params, composer.mask(alternate)))))
   },
 
+  switch (selector, cases, otherwise) {
+    let params = null
+    const branches = {}
+    for (let key in cases) branches[key] = composer.finally(() => params, composer.mask(cases[key]))
+    return composer.let(
+      { params },
+      composer.finally(
+        args => { params = args },
+        composer.switch_nosave(
+          composer.mask(selector),
+          branches,
+          composer.finally(() => params, composer.mask(otherwise)))))
+  },
+
   while (test, body) {
     let params = null
     return composer.let(
@@ -102,34 +208,106 @@ const lowerer = {
         composer.mask(...components)))
   },
 
-  retry (count, ...components) {
+  retry (count, delay, factor = 2, maxDelay = null, jitter = 0, when, detach, ...components) {
+    if (delay === undefined && when === undefined) {
+      return composer.let(
+        { count },
+        params => ({ params }),
+        composer.dowhile(
+          composer.finally(({ params }) => params, composer.mask(composer.retain_catch(...components))),
+          ({ result }) => result.error !== undefined && count-- > 0),
+        ({ result }) => result)
+    }
     return composer.let(
-      { count },
+      { count, delay: delay || 0, factor, maxDelay, jitter },
       params => ({ params }),
       composer.dowhile(
         composer.finally(({ params }) => params, composer.mask(composer.retain_catch(...components))),
-        ({ result }) => result.error !== undefined && count-- > 0),
+        composer.seq(
+          composer.mask(composer.function(`({ result }) => ({ value: result.error !== undefined && (${when || '() => true'})(result) })`)),
+          composer.if_nosave(
+            ({ value }) => {
+              if (!value || count-- <= 0) return { value: false }
+              const ms = maxDelay === null ? delay : Math.min(delay, maxDelay)
+              delay *= factor
+              return { value: true, ms: Math.round(ms * (1 - jitter * Math.random())) }
+            },
+            composer.seq(({ ms }) => ({ value: ms }), detach ? composer.delay(true) : composer.delay(), () => ({ value: true }))))),
       ({ result }) => result)
   },
 
+  sleep (ms) {
+    let params = null
+    return composer.let(
+      { ms, params },
+      args => { params = args; return { value: ms } },
+      composer.delay(true),
+      () => params)
+  },
+
+  sleepUntil (date) {
+    let params = null
+    return composer.let(
+      { params },
+      args => { params = args },
+      composer.mask(date),
+      composer.delay(true, true),
+      () => params)
+  },
+
+  saga (compensations, ...components) {
+    let results = []
+    let error = null
+    const cases = compensations.map(compensation => composer.try(composer.mask(compensation), () => ({})))
+    return composer.let(
+      { results, error },
+      composer.try(
+        composer.seq(...components.map(component => composer.seq(composer.mask(component), result => { results.push(result) }))),
+        composer.seq(
+          args => { error = args.error; return {} },
+          composer.while(
+            () => results.length > 0,
+            composer.seq(
+              () => results.pop(),
+              composer.switch(() => results.length, cases))),
+          () => ({ error }))))
+  },
+
   merge (...components) {
     return composer.seq(composer.retain(...components), ({ params, result }) => Object.assign(params, result))
+  },
+
+  include (name, composition) {
+    return composition === undefined ? composer.action(name) : revive(composition, 'include')
   }
 }
 
 // apply f to all fields of type composition
 function visit (composition, f) {
-  composition = Object.assign({}, composition) // copy
-  const combinator = composition['.combinator']()
-  if (combinator.components) {
-    composition.components = composition.components.map(f)
-  }
-  for (let arg of combinator.args || []) {
-    if (arg.type === undefined && composition[arg.name] !== undefined) {
-      composition[arg.name] = f(composition[arg.name], arg.name)
+  internal++ // copies are not new combinator calls
+  try {
+    composition = Object.assign({}, composition) // copy
+    const combinator = composition['.combinator']()
+    if (combinator.components) {
+      composition.components = composition.components.map(f)
     }
+    for (let arg of combinator.args || []) {
+      if (arg.type === undefined && composition[arg.name] !== undefined) {
+        composition[arg.name] = f(composition[arg.name], arg.name)
+      }
+      if (arg.type === 'compositions' && composition[arg.name] !== undefined) {
+        const array = Array.isArray(composition[arg.name])
+        const compositions = array ? [] : {}
+        for (let key in composition[arg.name]) {
+          compositions[key] = f(composition[arg.name][key], `${arg.name}[${array ? key : JSON.stringify(key)}]`)
+        }
+        composition[arg.name] = compositions
+      }
+    }
+    return new Composition(composition)
+  } finally {
+    internal--
   }
-  return new Composition(composition)
 }
 
 // recursively label combinators with the json path
@@ -143,6 +321,136 @@ function label (composition) {
   return label('')(composition)
 }
 
+// recursively deserialize composition as written, derived combinators included
+function revive (composition, type) {
+  const problem = require('./schema').check(composition, 'composition')
+  if (problem) throw new ComposerError(`Invalid composition at ${problem.path} in "${type}" combinator: ${problem.message}`)
+  const revive = composition => {
+    const combinator = combinators[composition.type] || extra[composition.type] || lookup(composition.type) || opaque
+    return visit(Object.assign({ '.combinator': () => combinator }, composition), revive)
+  }
+  return revive(composition)
+}
+
+// fuse a run of function combinators, later functions must not refer to let variables
+// mimic the conductor: undefined result preserves params, non-dictionary result is wrapped, error result aborts
+// an exception is rethrown with a $fused field recording the index of the function that threw
+function fuse (codes) {
+  return 'function () { ' +
+    `const stages = [${codes.map(code => `(${code})`).join(', ')}]; ` +
+    'const fail = function (stage, error) { return Object.assign(new Error(\'Exception in fused function\'), { $fused: { stage: stage, error: error } }) }; ' +
+    'const run = function (stage, params) { ' +
+    'let result; ' +
+    'try { result = stages[stage](params) } catch (error) { throw fail(stage, error) } ' +
+    'if (stage === stages.length - 1) return result && typeof result.then === \'function\' ? result.then(null, function (error) { throw fail(stage, error) }) : result; ' +
+    'const step = function (result) { ' +
+    'if (typeof result === \'function\') return result; ' +
+    'const next = JSON.parse(JSON.stringify(result === undefined ? params : result)); ' +
+    'const input = typeof next !== \'object\' || next === null || Array.isArray(next) ? { value: next } : next; ' +
+    'if (input.error !== undefined) return { error: input.error }; ' +
+    'return Promise.resolve(run(stage + 1, input)).then(function (result) { return result === undefined ? input : result }) }; ' +
+    'return result && typeof result.then === \'function\' ? result.then(step, function (error) { throw fail(stage, error) }) : step(result) }; ' +
+    'return run(0, arguments[0]) }'
+}
+
+// recursively simplify lowered composition
+function optimize (composition) {
+  const { analyze } = require('./lint')
+
+  // test if composition contains a combinator of the given type
+  const contains = (composition, type) => {
+    let found = composition.type === type
+    visit(composition, component => { found = found || contains(component, type); return component })
+    return found
+  }
+
+  // functions are the only combinators with access to let variables
+  const opaque = components => !components.some(component => contains(component, 'function'))
+
+  // copy path and source location from one composition to another
+  const annotate = (composition, { path, location }) => {
+    if (path !== undefined) composition.path = path
+    if (location !== undefined) composition.location = location
+    return composition
+  }
+
+  // flatten nested sequences, fuse consecutive functions, drop single-component sequence
+  const sequence = (components, source) => {
+    const flat = []
+    for (let component of components) {
+      if (component.type === 'sequence') {
+        if (component.path !== undefined && component.components.length > 0 && component.components[0].path === undefined) {
+          annotate(component.components[0], component)
+        }
+        flat.push(...component.components)
+      } else {
+        flat.push(component)
+      }
+    }
+    // runs of consecutive functions
+    const runs = []
+    for (let component of flat) {
+      const run = runs[runs.length - 1]
+      const last = run && run[run.length - 1]
+      if (last && last.type === 'function' && component.type === 'function' && last.function.exec.kind === component.function.exec.kind) {
+        const { refs, error } = analyze(component.function.exec.code)
+        if (!error && refs.length === 0) {
+          run.push(component)
+          continue
+        }
+      }
+      runs.push([component])
+    }
+    const fused = runs.map(run => {
+      if (run.length === 1) return run[0]
+      const composition = annotate(composer.function({ kind: run[0].function.exec.kind, code: fuse(run.map(component => component.function.exec.code)) }), run[0])
+      // path and source location of each fused function for error messages
+      composition.fused = run.map(({ path, location }) => {
+        const source = {}
+        if (path !== undefined) source.path = path
+        if (location !== undefined) source.location = location
+        return source
+      })
+      return composition
+    })
+    if (fused.length === 1 && (source.path === undefined || fused[0].path === undefined)) return annotate(fused[0], source)
+    return annotate(composer.sequence(...fused), source)
+  }
+
+  // drop useless let frames, cancel let/mask pairs, merge nested let frames
+  const frame = (declarations, components, source) => {
+    if (opaque(components)) return sequence(components, source) // no function can read the declarations
+    if (components.length === 1 && components[0].type === 'mask') return sequence(components[0].components, source)
+    if (components.length === 1 && components[0].type === 'let' && !contains(components[0], 'mask')) {
+      const inner = components[0]
+      return frame(Object.assign({}, declarations, inner.declarations), inner.components, source.path !== undefined ? source : inner)
+    }
+    if (Object.keys(declarations).length === 0 && !components.some(component => contains(component, 'mask'))) return sequence(components, source)
+    return annotate(composer.let(declarations, ...components), source)
+  }
+
+  const simplify = composition => {
+    composition = visit(composition, simplify) // simplify nested combinators first
+    switch (composition.type) {
+      case 'sequence':
+        return sequence(composition.components, composition)
+      case 'let':
+        return frame(composition.declarations, composition.components, composition)
+      case 'mask':
+        return opaque(composition.components) ? sequence(composition.components, composition) : composition
+      default:
+        return composition
+    }
+  }
+
+  internal++
+  try {
+    return simplify(composition)
+  } finally {
+    internal--
+  }
+}
+
 // derive combinator methods from combinator table
 // check argument count and map argument positions to argument names
 // delegate to Composition constructor for the rest of the validation
@@ -178,6 +486,27 @@ function declare (combinators, prefix) {
   return composer
 }
 
+// derive combinator methods from combinator table and register the combinator types
+// registered types are understood by parse and by the schema of the composition files
+function register (combinators, prefix) {
+  if (arguments.length > 2) throw new ComposerError('Too many arguments in "register"')
+  const factories = declare(combinators, prefix)
+  for (let key in combinators) {
+    const type = prefix ? prefix + '.' + key : key
+    // registering the same specification again, e.g., a plugin loaded twice, is harmless
+    const redefined = Object.prototype.hasOwnProperty.call(plugins, type) && plugins[type].combinator !== combinators[key]
+    if (Object.prototype.hasOwnProperty.call(composer, type) || redefined) throw new ComposerError(`Cannot redefine "${type}" combinator in "register"`)
+    // the conductor only runs primitive combinators, registered combinators must be lowered
+    if (typeof combinators[key].def !== 'function') throw new ComposerError(`Missing "def" lowering function in "${type}" combinator specification in "register"`, combinators[key])
+  }
+  for (let key in combinators) {
+    const type = prefix ? prefix + '.' + key : key
+    plugins[type] = { combinator: combinators[key], factory: factories[key] }
+    require('./schema').register(type, combinators[key])
+  }
+  return factories
+}
+
 // composition class
 class Composition {
   // weaker instanceof to tolerate multiple instances of this class
@@ -189,12 +518,18 @@ class Composition {
   constructor (composition) {
     const combinator = composition['.combinator']()
     Object.assign(this, composition)
+    const tasks = [] // functions and action names passed directly to the combinator with their composition objects
+    const task = obj => {
+      const composition = composer.task(obj)
+      if (typeof obj === 'function' || typeof obj === 'string') tasks.push([obj, composition])
+      return composition
+    }
     for (let arg of combinator.args || []) {
       if (composition[arg.name] === undefined && arg.optional && arg.type !== undefined) continue
       switch (arg.type) {
         case undefined:
           try {
-            this[arg.name] = composer.task(arg.optional ? composition[arg.name] || null : composition[arg.name])
+            this[arg.name] = task(arg.optional ? composition[arg.name] || null : composition[arg.name])
           } catch (error) {
             throw new ComposerError(`Invalid argument "${arg.name}" in "${composition.type} combinator"`, composition[arg.name])
           }
@@ -206,6 +541,19 @@ class Composition {
             throw new ComposerError(`${error.message} in "${composition.type} combinator"`, composition[arg.name])
           }
           break
+        case 'compositions':
+          if (!isObject(composition[arg.name]) && !Array.isArray(composition[arg.name])) {
+            throw new ComposerError(`Invalid argument "${arg.name}" in "${composition.type} combinator"`, composition[arg.name])
+          }
+          this[arg.name] = Array.isArray(composition[arg.name]) ? [] : {}
+          for (let key in composition[arg.name]) {
+            try {
+              this[arg.name][key] = task(composition[arg.name][key])
+            } catch (error) {
+              throw new ComposerError(`Invalid argument "${arg.name}" in "${composition.type} combinator"`, composition[arg.name])
+            }
+          }
+          break
         case 'value':
           if (typeof composition[arg.name] === 'function' || composition[arg.name] === undefined) {
             throw new ComposerError(`Invalid argument "${arg.name}" in "${composition.type} combinator"`, composition[arg.name])
@@ -222,13 +570,22 @@ class Composition {
           }
       }
     }
-    if (combinator.components) this.components = (composition.components || []).map(obj => composer.task(obj))
+    if (combinator.components) this.components = (composition.components || []).map(obj => task(obj))
+    if (composer.util.locations && internal === 0 && this.location === undefined) {
+      const [location, ...locations] = locate(tasks.map(([obj]) => obj))
+      if (location !== undefined) this.location = location
+      tasks.forEach(([, composition], index) => { if (locations[index] !== undefined) composition.location = locations[index] })
+    }
     return this
   }
 
   // compile composition
-  compile () {
-    if (arguments.length > 0) throw new ComposerError('Too many arguments in "compile"')
+  compile (options = {}) {
+    if (arguments.length > 1) throw new ComposerError('Too many arguments in "compile"')
+    if (!isObject(options)) throw new ComposerError('Invalid argument "options" in "compile"', options)
+    for (let key in options) {
+      if (key !== 'optimize') throw new ComposerError(`Invalid option "${key}" in "compile"`, options)
+    }
 
     const actions = []
 
@@ -241,7 +598,8 @@ class Composition {
       return composition
     }
 
-    const obj = { composition: label(flatten(this)).lower(), ast: this, version }
+    const composition = label(flatten(this)).lower()
+    const obj = { composition: options.optimize === false ? composition : optimize(composition), ast: this, version }
     if (actions.length > 0) obj.actions = actions
     return obj
   }
@@ -252,9 +610,10 @@ class Composition {
     if (!Array.isArray(combinators)) throw new ComposerError('Invalid argument "combinators" in "lower"', combinators)
 
     const lower = composition => {
+      if (composition['.combinator']() === opaque) throw new ComposerError(`Unknown combinator type "${composition.type}" in "lower": the plugin that defines it must be registered`)
       // repeatedly lower root combinator
       while (composition['.combinator']().def) {
-        const path = composition.path
+        const { path, location } = composition
         const combinator = composition['.combinator']()
         if (Array.isArray(combinators) && combinators.indexOf(composition.type) >= 0) break
         // map argument names to positions
@@ -262,8 +621,14 @@ class Composition {
         const skip = (combinator.args && combinator.args.length) || 0
         for (let i = 0; i < skip; i++) args.push(composition[combinator.args[i].name])
         if (combinator.components) args.push(...composition.components)
-        composition = combinator.def(...args)
+        internal++
+        try {
+          composition = combinator.def(...args)
+        } finally {
+          internal--
+        }
         if (path !== undefined) composition.path = path // preserve path
+        if (location !== undefined) composition.location = location // preserve location
       }
       // lower nested combinators
       return visit(composition, lower)
@@ -271,24 +636,94 @@ class Composition {
 
     return lower(this)
   }
+
+  // resolve inline includes of deployed compositions, fetch returns the ast of a deployed composition
+  resolve (fetch) {
+    if (arguments.length > 1) throw new ComposerError('Too many arguments in "resolve"')
+    if (typeof fetch !== 'function') throw new ComposerError('Invalid argument "fetch" in "resolve"', fetch)
+
+    const resolve = names => composition => {
+      if (composition.type === 'include' && composition.composition === undefined) {
+        if (names.indexOf(composition.name) >= 0) return Promise.reject(new ComposerError(`Cyclic include of "${composition.name}" in "resolve"`))
+        return Promise.resolve(fetch(composition.name))
+          .then(ast => resolve(names.concat(composition.name))(revive(JSON.parse(JSON.stringify(ast)), 'include')))
+          .then(resolved => visit(Object.assign({}, composition, { composition: JSON.parse(JSON.stringify(resolved)) }), x => x))
+      }
+      // resolve nested compositions in order
+      const nested = []
+      visit(composition, child => { nested.push(resolve(names)(child)); return child })
+      return Promise.all(nested).then(children => visit(composition, () => children.shift()))
+    }
+
+    return resolve([])(this)
+  }
+
+  // translate composition to states language
+  toASL (options = {}) {
+    if (arguments.length > 1) throw new ComposerError('Too many arguments in "toASL"')
+    if (!isObject(options)) throw new ComposerError('Invalid argument "options" in "toASL"', options)
+    for (let key in options) {
+      if (['resource'].indexOf(key) < 0) throw new ComposerError(`Invalid option "${key}" in "toASL"`, options)
+    }
+    if (options.resource !== undefined && typeof options.resource !== 'string') throw new ComposerError('Invalid option "resource" in "toASL"', options.resource)
+    internal++ // no source location capture
+    try {
+      return require('./asl')(composer, ComposerError).toASL(label(this), options)
+    } finally {
+      internal--
+    }
+  }
+
+  // render composition as a control-flow graph
+  toGraph (options = {}) {
+    if (arguments.length > 1) throw new ComposerError('Too many arguments in "toGraph"')
+    if (!isObject(options)) throw new ComposerError('Invalid argument "options" in "toGraph"', options)
+    for (let key in options) {
+      if (['format', 'lower'].indexOf(key) < 0) throw new ComposerError(`Invalid option "${key}" in "toGraph"`, options)
+    }
+    if (options.format !== undefined && ['dot', 'mermaid'].indexOf(options.format) < 0) {
+      throw new ComposerError('Invalid option "format" in "toGraph"', options.format)
+    }
+    const { graph, dot, mermaid } = require('./graph')
+    const composition = options.lower ? label(this).lower() : label(this)
+    const result = graph(composition)
+    if (options.format === 'dot') return dot(result)
+    if (options.format === 'mermaid') return mermaid(result)
+    return result
+  }
 }
 
 // primitive combinators
 const combinators = {
   sequence: { components: true },
   if_nosave: { args: [{ name: 'test' }, { name: 'consequent' }, { name: 'alternate', optional: true }] },
+  switch_nosave: { args: [{ name: 'selector' }, { name: 'cases', type: 'compositions' }, { name: 'default', optional: true }] },
   while_nosave: { args: [{ name: 'test' }, { name: 'body' }] },
   dowhile_nosave: { args: [{ name: 'body' }, { name: 'test' }] },
   try: { args: [{ name: 'body' }, { name: 'handler' }] },
   finally: { args: [{ name: 'body' }, { name: 'finalizer' }] },
   let: { args: [{ name: 'declarations', type: 'object' }], components: true },
   mask: { components: true },
-  action: { args: [{ name: 'name', type: 'name' }, { name: 'action', type: 'object', optional: true }] },
+  action: {
+    args: [
+      { name: 'name', type: 'name' },
+      { name: 'action', type: 'object', optional: true },
+      { name: 'input', type: 'object', optional: true },
+      { name: 'output', type: 'object', optional: true }
+    ]
+  },
   function: { args: [{ name: 'function', type: 'object' }] },
   async: { components: true },
   parallel: { components: true },
-  map: { components: true },
-  dynamic: {}
+  race: { components: true },
+  any: { components: true },
+  map: { args: [{ name: 'concurrency', type: 'number', optional: true }], components: true },
+  dynamic: {},
+  delay: { args: [{ name: 'detach', type: 'boolean', optional: true }, { name: 'until', type: 'boolean', optional: true }] },
+  timeout: { args: [{ name: 'ms', type: 'number' }], components: true },
+  breaker: { args: [{ name: 'key', type: 'string' }, { name: 'failures', type: 'number' }, { name: 'resetAfter', type: 'number' }, { name: 'body' }, { name: 'fallback' }] },
+  validate: { args: [{ name: 'schema', type: 'object' }] },
+  transform: { args: [{ name: 'mapping', type: 'object' }] }
 }
 
 Object.assign(composer, declare(combinators))
@@ -298,16 +733,32 @@ const extra = {
   empty: { def: composer.sequence },
   seq: { components: true, def: composer.sequence },
   if: { args: [{ name: 'test' }, { name: 'consequent' }, { name: 'alternate', optional: true }], def: lowerer.if },
+  switch: { args: [{ name: 'selector' }, { name: 'cases', type: 'compositions' }, { name: 'default', optional: true }], def: lowerer.switch },
   while: { args: [{ name: 'test' }, { name: 'body' }], def: lowerer.while },
   dowhile: { args: [{ name: 'body' }, { name: 'test' }], def: lowerer.dowhile },
   repeat: { args: [{ name: 'count', type: 'number' }], components: true, def: lowerer.repeat },
-  retry: { args: [{ name: 'count', type: 'number' }], components: true, def: lowerer.retry },
+  sleep: { args: [{ name: 'ms', type: 'number' }], def: lowerer.sleep },
+  sleepUntil: { args: [{ name: 'date' }], def: lowerer.sleepUntil },
+  retry: {
+    args: [
+      { name: 'count', type: 'number' },
+      { name: 'delay', type: 'number', optional: true },
+      { name: 'factor', type: 'number', optional: true },
+      { name: 'maxDelay', type: 'number', optional: true },
+      { name: 'jitter', type: 'number', optional: true },
+      { name: 'when', type: 'string', optional: true },
+      { name: 'detach', type: 'boolean', optional: true }],
+    components: true,
+    def: lowerer.retry
+  },
+  saga: { args: [{ name: 'compensations', type: 'compositions' }], components: true, def: lowerer.saga },
   retain: { components: true, def: lowerer.retain },
   retain_catch: { components: true, def: lowerer.retain_catch },
   value: { args: [{ name: 'value', type: 'value' }], def: lowerer.literal },
   literal: { args: [{ name: 'value', type: 'value' }], def: lowerer.literal },
   merge: { components: true, def: lowerer.merge },
-  par: { components: true, def: composer.parallel }
+  par: { components: true, def: composer.parallel },
+  include: { args: [{ name: 'name', type: 'name' }, { name: 'composition', type: 'object', optional: true }], def: lowerer.include }
 }
 
 Object.assign(composer, declare(extra))
@@ -362,16 +813,312 @@ Object.assign(composer, {
       composition.action = { exec }
       if (isObject(options.limits)) composition.action.limits = options.limits
     }
+    if (options.parameters !== undefined) { // default parameters of the embedded action
+      if (!isObject(options.parameters)) throw new ComposerError('Invalid argument "parameters" in "action" combinator', options.parameters)
+      if (!exec) throw new ComposerError('Cannot bind parameters without action definition in "action" combinator', options.parameters)
+      const parameters = JSON.parse(JSON.stringify(options.parameters))
+      composition.action.parameters = Object.keys(parameters).map(key => ({ key, value: parameters[key] }))
+    }
+    for (let key of ['input', 'output']) { // schemas of input and output parameters
+      if (options[key] === undefined) continue
+      if (!isObject(options[key])) throw new ComposerError(`Invalid argument "${key}" in "action" combinator`, options[key])
+      const problem = require('./schema').checkSchema(options[key])
+      if (problem) throw new ComposerError(`Invalid ${key} schema at ${problem.path} in "action" combinator: ${problem.message}`, options[key])
+      composition[key] = JSON.parse(JSON.stringify(options[key]))
+    }
     return new Composition(composition)
   },
 
+  // validate combinator: check supported json schema
+  validate (schema) {
+    if (arguments.length > 1) throw new ComposerError('Too many arguments in "validate" combinator')
+    if (!isObject(schema)) throw new ComposerError('Invalid argument "schema" in "validate" combinator', schema)
+    const problem = require('./schema').checkSchema(schema)
+    if (problem) throw new ComposerError(`Invalid schema at ${problem.path} in "validate" combinator: ${problem.message}`, schema)
+    return new Composition({ type: 'validate', schema: JSON.parse(JSON.stringify(schema)), '.combinator': () => combinators.validate })
+  },
+
+  // retry combinator: count or dictionary of options
+  retry (count, ...components) {
+    const composition = { type: 'retry', components, '.combinator': () => extra.retry }
+    if (isObject(count) && !(count instanceof Composition)) {
+      const options = count
+      for (let key in options) {
+        if (extra.retry.args.every(arg => arg.name !== key)) throw new ComposerError(`Invalid option "${key}" in "retry" combinator`, options)
+      }
+      Object.assign(composition, options)
+      if (typeof options.when === 'function') {
+        composition.when = `${options.when}`
+        if (composition.when.indexOf('[native code]') !== -1) throw new ComposerError('Cannot capture native function in "retry" combinator', options.when)
+      }
+      if (options.jitter !== undefined && !(options.jitter >= 0 && options.jitter <= 1)) throw new ComposerError('Invalid argument "jitter" in "retry" combinator', options.jitter)
+    } else {
+      composition.count = count
+    }
+    return new Composition(composition)
+  },
+
+  // map combinator: optional dictionary of options
+  map (...components) {
+    const composition = { type: 'map', components, '.combinator': () => combinators.map }
+    if (isObject(components[0]) && !(components[0] instanceof Composition)) {
+      const options = components.shift()
+      for (let key in options) {
+        if (combinators.map.args.every(arg => arg.name !== key)) throw new ComposerError(`Invalid option "${key}" in "map" combinator`, options)
+      }
+      if (options.concurrency !== undefined && !(Number.isInteger(options.concurrency) && options.concurrency > 0)) {
+        throw new ComposerError('Invalid argument "concurrency" in "map" combinator', options.concurrency)
+      }
+      Object.assign(composition, options)
+    }
+    return new Composition(composition)
+  },
+
+  // breaker combinator: dictionary of options, fail with error object if no fallback
+  breaker (options, body, fallback = () => ({ error: 'circuit open' })) {
+    if (arguments.length > 3) throw new ComposerError('Too many arguments in "breaker" combinator')
+    if (!isObject(options) || options instanceof Composition) throw new ComposerError('Invalid argument "options" in "breaker" combinator', options)
+    for (let key in options) {
+      if (['key', 'failures', 'resetAfter'].indexOf(key) === -1) throw new ComposerError(`Invalid option "${key}" in "breaker" combinator`, options)
+    }
+    if (typeof options.key !== 'string' || options.key.length === 0) throw new ComposerError('Invalid argument "key" in "breaker" combinator', options.key)
+    if (!(Number.isInteger(options.failures) && options.failures > 0)) throw new ComposerError('Invalid argument "failures" in "breaker" combinator', options.failures)
+    if (!(typeof options.resetAfter === 'number' && options.resetAfter > 0)) throw new ComposerError('Invalid argument "resetAfter" in "breaker" combinator', options.resetAfter)
+    return new Composition(Object.assign({ type: 'breaker', body, fallback, '.combinator': () => combinators.breaker }, options))
+  },
+
+  // saga combinator: array of steps with optional compensations
+  saga (steps) {
+    if (arguments.length > 1) throw new ComposerError('Too many arguments in "saga" combinator')
+    if (!Array.isArray(steps)) throw new ComposerError('Invalid argument "steps" in "saga" combinator', steps)
+    for (let step of steps) {
+      if (!isObject(step) || step instanceof Composition || step.do === undefined || Object.keys(step).some(key => key !== 'do' && key !== 'undo')) {
+        throw new ComposerError('Invalid argument "steps" in "saga" combinator', steps)
+      }
+    }
+    return new Composition({
+      type: 'saga',
+      components: steps.map(step => step.do),
+      compensations: steps.map(step => step.undo === undefined ? null : step.undo),
+      '.combinator': () => extra.saga
+    })
+  },
+
+  // include combinator: composition from file or deployed composition
+  include (source, options = {}) {
+    if (arguments.length > 2) throw new ComposerError('Too many arguments in "include" combinator')
+    if (typeof source !== 'string') throw new ComposerError('Invalid argument "source" in "include" combinator', source)
+    if (!isObject(options)) throw new ComposerError('Invalid argument "options" in "include" combinator', options)
+    for (let key in options) {
+      if (key !== 'inline' && key !== 'dirname') throw new ComposerError(`Invalid option "${key}" in "include" combinator`, options)
+    }
+    if (options.inline !== undefined && typeof options.inline !== 'boolean') throw new ComposerError('Invalid argument "inline" in "include" combinator', options.inline)
+    if (options.dirname !== undefined && typeof options.dirname !== 'string') throw new ComposerError('Invalid argument "dirname" in "include" combinator', options.dirname)
+    const extension = path.extname(source)
+    if (['.js', '.json', '.yaml', '.yml'].indexOf(extension) >= 0) { // read composition from file
+      let dirname = options.dirname
+      if (dirname === undefined) { // directory of the calling module if any
+        const caller = frame()
+        dirname = caller !== undefined && path.isAbsolute(caller.file) ? path.dirname(caller.file) : process.cwd()
+      }
+      const filename = path.resolve(dirname, source)
+      if (extension === '.js') return composer.parse(require(filename))
+      const text = fs.readFileSync(filename, { encoding: 'utf8' })
+      if (extension === '.json') {
+        const obj = JSON.parse(text)
+        if (isObject(obj) && (obj.ast !== undefined || obj.version !== undefined)) return composer.upgrade(obj).ast // compiled composition
+      }
+      return composer.fromYAML(text, { dirname: path.dirname(filename) })
+    }
+    if (!options.inline) return composer.action(source)
+    return new Composition({ type: 'include', name: source, '.combinator': () => extra.include })
+  },
+
+  // transform combinator: check expressions of mapping
+  transform (mapping) {
+    if (arguments.length > 1) throw new ComposerError('Too many arguments in "transform" combinator')
+    if (!isObject(mapping)) throw new ComposerError('Invalid argument "mapping" in "transform" combinator', mapping)
+    try {
+      require('./transform')(mapping)
+    } catch (error) {
+      throw new ComposerError(`Invalid expression at ${error.path} in "transform" combinator: ${error.message}`, mapping)
+    }
+    return new Composition({ type: 'transform', mapping: JSON.parse(JSON.stringify(mapping)), '.combinator': () => combinators.transform })
+  },
+
   // recursively deserialize composition
   parse (composition) {
     if (arguments.length > 1) throw new ComposerError('Too many arguments in "parse" combinator')
     if (!isObject(composition)) throw new ComposerError('Invalid argument "composition" in "parse" combinator', composition)
-    const combinator = typeof composition['.combinator'] === 'function' ? composition['.combinator']() : combinators[composition.type]
-    if (!isObject(combinator)) throw new ComposerError('Invalid composition type in "parse" combinator', composition)
-    return visit(Object.assign({ '.combinator': () => combinator }, composition), composition => composer.parse(composition))
+    if (composition.type === undefined && composition.composition !== undefined) return composer.upgrade(composition).ast // compiled composition
+    if (typeof composition['.combinator'] !== 'function') { // validate json against schema
+      const problem = require('./schema').check(composition, 'composition')
+      if (problem) throw new ComposerError(`Invalid composition at ${problem.path} in "parse" combinator: ${problem.message}`)
+    }
+    const parse = path => (composition, name, array) => {
+      const p = path + (name !== undefined ? (array === undefined ? `.${name}` : `[${name}]`) : '')
+      const combinator = typeof composition['.combinator'] === 'function' ? composition['.combinator']() : combinators[composition.type] || lookup(composition.type)
+      if (!isObject(combinator)) throw new ComposerError(`Invalid composition type at ${p} in "parse" combinator`, composition.type)
+      return visit(Object.assign({ '.combinator': () => combinator }, composition), parse(p))
+    }
+    return parse('$')(composition)
+  },
+
+  // upgrade compiled composition to the current format
+  upgrade (composition) {
+    if (arguments.length > 1) throw new ComposerError('Too many arguments in "upgrade"')
+    if (!isObject(composition)) throw new ComposerError('Invalid argument "composition" in "upgrade"', composition)
+    internal++ // no source location capture
+    try {
+      return require('./upgrade')(composer, ComposerError, revive, version).upgrade(composition)
+    } finally {
+      internal--
+    }
+  },
+
+  // translate states language definition
+  fromASL (definition) {
+    if (arguments.length > 1) throw new ComposerError('Too many arguments in "fromASL"')
+    if (!isObject(definition)) throw new ComposerError('Invalid argument "definition" in "fromASL"', definition)
+    internal++ // no source location capture
+    try {
+      return require('./asl')(composer, ComposerError).fromASL(definition)
+    } finally {
+      internal--
+    }
+  },
+
+  // translate yaml or json document
+  fromYAML (source, options = {}) {
+    if (arguments.length > 2) throw new ComposerError('Too many arguments in "fromYAML"')
+    if (typeof source !== 'string') throw new ComposerError('Invalid argument "source" in "fromYAML"', source)
+    if (!isObject(options)) throw new ComposerError('Invalid argument "options" in "fromYAML"', options)
+    for (let key in options) {
+      if (key !== 'dirname') throw new ComposerError(`Invalid option "${key}" in "fromYAML"`, options)
+    }
+    if (options.dirname !== undefined && typeof options.dirname !== 'string') throw new ComposerError('Invalid option "dirname" in "fromYAML"', options.dirname)
+    internal++ // no source location capture
+    try {
+      const table = Object.assign({}, combinators, extra)
+      const factories = {}
+      for (let type in plugins) {
+        table[type] = plugins[type].combinator
+        factories[type] = plugins[type].factory
+      }
+      return require('./yaml')(composer, ComposerError, table, factories).fromYAML(source, options)
+    } finally {
+      internal--
+    }
+  },
+
+  // report likely mistakes in composition
+  lint (composition, options = {}) {
+    if (arguments.length > 2) throw new ComposerError('Too many arguments in "lint"')
+    if (!(composition instanceof Composition)) throw new ComposerError('Invalid argument "composition" in "lint"', composition)
+    if (!isObject(options)) throw new ComposerError('Invalid argument "options" in "lint"', options)
+    const { analyze } = require('./lint')
+    const namespace = options.namespace || '_'
+    const problems = []
+    const report = (path, message) => problems.push({ path, message })
+
+    // truthiness of the value field of a test composition if constant
+    const constant = test => {
+      if (test.type === 'literal' || test.type === 'value') return { value: isObject(test.value) ? test.value.value : test.value }
+      if (test.type === 'function') return analyze(test.function.exec.code).constant
+    }
+
+    const empty = composition => ['empty', 'seq', 'sequence'].indexOf(composition.type) >= 0 && (composition.components || []).length === 0
+
+    // check code of function in scope of let frames (innermost first, null for mask)
+    const check = (code, frames, path) => {
+      const { refs, error } = analyze(code)
+      if (error) report(path, `Cannot parse function: ${error}`)
+      // visible frames as in conductor
+      const view = []
+      let n = 0
+      for (let frame of frames) {
+        if (frame === null) {
+          n++
+        } else if (n === 0) {
+          view.push(frame)
+        } else {
+          n--
+        }
+      }
+      for (let { name, read } of refs) {
+        const frame = view.find(frame => Object.prototype.hasOwnProperty.call(frame.declarations, name))
+        if (!frame) {
+          report(path, `Function refers to undeclared variable "${name}"`)
+        } else if (read) {
+          frame.read[name] = true
+        }
+      }
+    }
+
+    const walk = (composition, frames) => {
+      const path = composition.path
+      switch (composition.type) {
+        case 'let':
+          const frame = { declarations: composition.declarations, read: {} }
+          for (let component of composition.components) walk(component, [frame, ...frames])
+          for (let name in composition.declarations) {
+            if (!frame.read[name]) report(path, `Variable "${name}" is declared but never read`)
+          }
+          return
+        case 'mask':
+          for (let component of composition.components) walk(component, [null, ...frames])
+          return
+        case 'function':
+          check(composition.function.exec.code, frames, path)
+          break
+        case 'retry':
+          if (composition.when !== undefined) check(composition.when, frames, path)
+          break
+        case 'action':
+          const ns = composition.name.split('/')[1]
+          if (ns !== '_' && ns !== namespace && ns !== 'whisk.system') report(path, `Action "${composition.name}" resolves to namespace "${ns}" instead of "${namespace}"`)
+          break
+        case 'if':
+        case 'if_nosave':
+          const condition = constant(composition.test)
+          if (condition && !condition.value && !empty(composition.consequent)) report(path, 'Condition is always false, consequent is unreachable')
+          if (condition && condition.value && !empty(composition.alternate)) report(path, 'Condition is always true, alternate is unreachable')
+          break
+        case 'while':
+        case 'while_nosave':
+        case 'dowhile':
+        case 'dowhile_nosave':
+          const test = constant(composition.test)
+          if (test && test.value) report(path, 'Loop condition is always true')
+          break
+      }
+      visit(composition, component => { walk(component, frames); return component })
+    }
+
+    walk(label(composition), [])
+    return problems
+  },
+
+  // run composition in process using local action stubs
+  simulate (composition, params = {}, options = {}) {
+    if (arguments.length > 3) throw new ComposerError('Too many arguments in "simulate"')
+    if (composition instanceof Composition) composition = composition.compile()
+    if (!isObject(composition) || !isObject(composition.composition)) throw new ComposerError('Invalid argument "composition" in "simulate"', composition)
+    if (!isObject(params)) throw new ComposerError('Invalid argument "params" in "simulate"', params)
+    if (!isObject(options)) throw new ComposerError('Invalid argument "options" in "simulate"', options)
+    for (let name in options.actions || {}) {
+      const action = options.actions[name]
+      if (typeof action !== 'function' && !(action instanceof Composition)) throw new ComposerError(`Invalid action "${name}" in "simulate"`, action)
+    }
+    const sandbox = options.sandbox
+    if (sandbox !== undefined) {
+      if (!isObject(sandbox)) throw new ComposerError('Invalid option "sandbox" in "simulate"', sandbox)
+      if (sandbox.timeout !== undefined && !(Number.isInteger(sandbox.timeout) && sandbox.timeout > 0)) throw new ComposerError('Invalid option "sandbox.timeout" in "simulate"', sandbox.timeout)
+      if (sandbox.modules !== undefined && !(Array.isArray(sandbox.modules) && sandbox.modules.every(name => typeof name === 'string'))) {
+        throw new ComposerError('Invalid option "sandbox.modules" in "simulate"', sandbox.modules)
+      }
+    }
+    return require('./simulator').simulate(composition, params, options)
   }
 })
 
@@ -0,0 +1,50 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { CompiledComposition, Dictionary, Limits } from './composer'
+
+/** Options of the sandbox of function combinators. */
+export interface SandboxOptions {
+  /** cpu time limit of each function combinator in milliseconds (default 100) */
+  timeout?: number
+  /** modules function combinators may require (default all) */
+  modules?: string[]
+}
+
+/** A compiled composition with the name of the conductor action, optional annotations, default parameters, and sandbox options. */
+export interface NamedComposition extends CompiledComposition {
+  name: string
+  annotations?: Array<{ key: string, value: any }>
+  parameters?: Array<{ key: string, value: any }>
+  sandbox?: SandboxOptions
+}
+
+/** A conductor action definition. */
+export interface ConductorAction {
+  name: string
+  action: {
+    exec: { kind: string, code: string }
+    annotations: Array<{ key: string, value: any }>
+    parameters: Array<{ key: string, value: any }>
+    limits: Limits
+  }
+}
+
+/** Synthesize the conductor action for a composition. */
+export function generate (composition: NamedComposition, debug?: string, kind?: string, timeout?: number, memory?: number, logs?: number): ConductorAction
+
+export { Dictionary }
@@ -19,35 +19,54 @@
 
 'use strict'
 
+const crypto = require('crypto')
 const { minify } = require('terser')
+const transform = require('./transform')
 
 // read conductor version number
 const version = require('./package.json').version
 
+// identifiers available to function combinators in addition to the standard Javascript globals
+const globals = ['console', 'process', 'require', 'Buffer', 'URL', 'URLSearchParams', 'TextEncoder', 'TextDecoder',
+  'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'setImmediate', 'clearImmediate']
+
 // synthesize conductor action code from composition
-function generate ({ name, composition, ast, version: composer, annotations = [] }, debug, kind = 'nodejs:default', timeout = 60000, memory = 256, logs = 10) {
-  let code = `// generated by composer v${composer} and conductor v${version}\n\nconst composition = ${JSON.stringify(composition, null, 4)}\n\n// do not edit below this point\n\n` +
-    minify(`const main=(${main})(composition)`, { output: { max_line_len: 127 } }).code
+// sandbox options: timeout of function combinators in milliseconds (default 100), allowlist of modules (default all)
+function generate ({ name, composition, ast, version: composer, annotations = [], parameters = [], sandbox = {} }, debug, kind = 'nodejs:default', timeout = 60000, memory = 256, logs = 10) {
+  let code = `// generated by composer v${composer} and conductor v${version}\n\nconst composition = ${JSON.stringify(composition, null, 4)}\n\nconst sandbox = ${JSON.stringify(sandbox)}\n\n// do not edit below this point\n\n` +
+    minify(`const main=(${main})(composition,sandbox,${transform},${JSON.stringify(parameters.map(({ key, value }) => ({ key, digest: digest(value) })))},${JSON.stringify(globals)})`, { output: { max_line_len: 127 } }).code
   if (debug) code = `process.env.DEBUG='${debug}'\n\n` + code
   annotations = annotations.concat([
     { key: 'conductor', value: ast },
     { key: 'composerVersion', value: composer },
     { key: 'conductorVersion', value: version },
     { key: 'provide-api-key', value: true }])
-  return { name, action: { exec: { kind, code }, annotations, limits: { timeout, memory, logs } } }
+  return { name, action: { exec: { kind, code }, annotations, parameters, limits: { timeout, memory, logs } } }
+}
+
+// digest of the json representation of a value
+function digest (value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex')
 }
 
-module.exports = { generate }
+module.exports = { generate, globals }
 
 // runtime code
-function main (composition) {
+function main (composition, sandbox, transform, defaults, globals) {
   const openwhisk = require(/* webpackIgnore: true */ 'openwhisk')
+  const vm = require(/* webpackIgnore: true */ 'vm')
   let wsk
   let db
   const expiration = 86400 // expire redis key after a day
+  const alarms = '/whisk.system/alarms/once' // feed for scheduled invocations
+  const detachAfter = 10000 // minimum duration of a scheduled sleep
 
   function live (id) { return `composer/fork/${id}` }
   function done (id) { return `composer/join/${id}` }
+  function queue (id) { return `composer/queue/${id}` }
+  function failures (key) { return `composer/breaker/${key}/failures` }
+  function open (key) { return `composer/breaker/${key}/open` }
+  function sleeping (id) { return `composer/sleep/${id}` }
 
   function createRedisClient (p) {
     const client = require(/* webpackIgnore: true */ 'redis').createClient(p.s.redis.uri, p.s.redis.ca ? { tls: { ca: Buffer.from(p.s.redis.ca, 'base64').toString('binary') } } : {})
@@ -78,6 +97,10 @@ function main (composition) {
 
   const isObject = obj => typeof obj === 'object' && obj !== null && !Array.isArray(obj)
 
+  function hasRedis (p) {
+    return isObject(p.s.redis) && typeof p.s.redis.uri === 'string' && (typeof p.s.redis.ca === 'string' || typeof p.s.redis.ca === 'undefined')
+  }
+
   const needleOptions = (/needle<([^>]*)>/.exec(process.env.DEBUG || '') || [])[1]
 
   function invoke (req) {
@@ -89,35 +112,92 @@ function main (composition) {
     return wsk.actions.invoke(req)
   }
 
-  function fork ({ p, node, index }, array, it) {
+  function wait (ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(ms, 0)))
+  }
+
+  // schedule invocation of this conductor action with current state at time p.s.wake
+  // the state is saved in redis, the trigger only holds its key, the redis configuration must be bound to the action
+  function schedule ({ p, node, index }) {
+    const id = require(/* webpackIgnore: true */ 'uuid').v4()
+    const name = `composer-${id}`
+    const date = new Date(p.s.wake).toISOString()
+    const params = [{ key: '$resume', value: id }]
+    console.log(`trigger: ${name}, scheduled for: ${date}`)
+    if (!wsk) wsk = openwhisk(p.s.openwhisk)
+    if (!db) db = createRedisClient(p)
+    return db.rpushAsync(sleeping(id), JSON.stringify({ s: p.s, params: p.params }))
+      .then(() => db.expireAsync(sleeping(id), Math.ceil((p.s.wake - Date.now()) / 1000) + expiration))
+      .then(() => wsk.triggers.create({ name, trigger: { parameters: params } }))
+      .then(() => wsk.rules.create({ name, action: process.env.__OW_ACTION_NAME, trigger: name }))
+      .then(() => wsk.feeds.create({ name: alarms, trigger: name, params: { date, deleteAfterFire: 'rules' } }))
+      .then(() => {
+        p.params = { method: 'sleep', sessionId: p.s.session, trigger: name, date }
+        p.s.state = -1 // end this session
+      }, error => {
+        console.error(error.body || error)
+        p.params = { error: `Sleep combinator failed to schedule the composition at ${where(node)} (see log for details)` }
+        return db.delAsync(sleeping(id)).catch(() => { }) // best effort cleanup
+          .then(() => wsk.rules.delete({ name }).catch(() => { }))
+          .then(() => wsk.triggers.delete({ name }).catch(() => { }))
+          .then(() => inspect(p))
+      })
+      .then(() => {
+        delete p.s.wake
+        return step(p)
+      })
+  }
+
+  // load the state of a scheduled session from redis, at most once
+  function restore (p, id) {
+    if (!hasRedis(p)) return internalError('resuming a scheduled session requires a properly configured redis instance bound to the conductor action')
+    if (!db) db = createRedisClient(p)
+    return db.lpopAsync(sleeping(id)).then(saved => {
+      if (typeof saved !== 'string') return internalError(`no saved state for scheduled session ${id}`)
+      const { s, params } = JSON.parse(saved)
+      p.s = s
+      p.params = params
+    })
+  }
+
+  function fork ({ p, node, index }, array, it, mode) {
     const saved = p.params // save params
     p.s.state = index + node.return // return state
     p.params = { value: [] } // return value
     if (array.length === 0) return
-    if (typeof p.s.redis !== 'object' || typeof p.s.redis.uri !== 'string' || (typeof p.s.redis.ca !== 'string' && typeof p.s.redis.ca !== 'undefined')) {
+    if (!hasRedis(p)) {
       p.params = { error: 'Parallel combinator requires a properly configured redis instance' }
       console.error(p.params.error)
       return
     }
     const stack = [{ marker: true }].concat(p.s.stack)
     const barrierId = require(/* webpackIgnore: true */ 'uuid').v4()
-    console.log(`barrierId: ${barrierId}, spawning: ${array.length}`)
+    const limit = node.concurrency || array.length // max number of branches in flight
+    console.log(`barrierId: ${barrierId}, spawning: ${array.length}` + (limit < array.length ? `, concurrency: ${limit}` : ''))
     if (!wsk) wsk = openwhisk(p.s.openwhisk)
     if (!db) db = createRedisClient(p)
+    const branches = array.map((item, position) => {
+      const params = it(saved, item) // obtain combinator-specific params for branch invocation
+      params.$composer.stack = stack
+      params.$composer.redis = p.s.redis
+      params.$composer.openwhisk = p.s.openwhisk
+      params.$composer.join = { barrierId, position, count: array.length }
+      params.$composer.keep = present(params)
+      if (mode) params.$composer.join.mode = mode
+      if (limit < array.length) params.$composer.join.queue = true
+      return params
+    })
+    const queued = branches.slice(limit).map(params => JSON.stringify(params))
     return db.lpushAsync(live(barrierId), 42) // push marker
       .then(() => db.expireAsync(live(barrierId), expiration))
-      .then(() => Promise.all(array.map((item, position) => {
-        const params = it(saved, item) // obtain combinator-specific params for branch invocation
-        params.$composer.stack = stack
-        params.$composer.redis = p.s.redis
-        params.$composer.openwhisk = p.s.openwhisk
-        params.$composer.join = { barrierId, position, count: array.length }
+      .then(() => queued.length > 0 && db.rpushAsync(queue(barrierId), ...queued).then(() => db.expireAsync(queue(barrierId), expiration)))
+      .then(() => Promise.all(branches.slice(0, limit).map(params => {
         return invoke({ name: process.env.__OW_ACTION_NAME, params }) // invoke branch
-          .then(({ activationId }) => { console.log(`barrierId: ${barrierId}, spawned position: ${position} with activationId: ${activationId}`) })
-      }))).then(() => collect(p, barrierId), error => {
+          .then(({ activationId }) => { console.log(`barrierId: ${barrierId}, spawned position: ${params.$composer.join.position} with activationId: ${activationId}`) })
+      }))).then(() => collect(p, barrierId, mode), error => {
         console.error(error.body || error)
-        p.params = { error: `Parallel combinator failed to invoke a composition at AST node root${node.parent} (see log for details)` }
-        return db.delAsync(live(barrierId), done(barrierId)) // delete keys
+        p.params = { error: `Parallel combinator failed to invoke a composition at ${where(node)} (see log for details)` }
+        return db.delAsync(live(barrierId), done(barrierId), queue(barrierId)) // delete keys
           .then(() => {
             inspect(p)
             return step(p)
@@ -132,7 +212,10 @@ function main (composition) {
     },
 
     action (parent, node) {
-      return [{ parent, type: 'action', name: node.name }]
+      const fsm = [{ parent, type: 'action', name: node.name }]
+      if (node.input !== undefined) fsm.unshift({ parent, type: 'validate', schema: node.input, subject: `input of action "${node.name}"` })
+      if (node.output !== undefined) fsm.push({ parent, type: 'validate', schema: node.output, subject: `output of action "${node.name}"` })
+      return fsm
     },
 
     async (parent, node) {
@@ -141,7 +224,14 @@ function main (composition) {
     },
 
     function (parent, node) {
-      return [{ parent, type: 'function', exec: node.function.exec }]
+      const fsm = [{ parent, type: 'function', exec: node.function.exec }]
+      if (node.fused !== undefined) {
+        fsm[0].fused = node.fused.map(({ path, location }) => {
+          if (path !== undefined && location !== undefined) locations[path] = location
+          return { parent: path || parent }
+        })
+      }
+      return fsm
     },
 
     finally (parent, node) {
@@ -159,6 +249,20 @@ function main (composition) {
       return [{ parent, type: 'let', let: null }, ...compile(parent, ...node.components), { parent, type: 'exit' }]
     },
 
+    breaker (parent, node) {
+      const fallback = [...compile(parent, node.fallback), { parent, type: 'pass' }]
+      const fsm = [{ parent, type: 'breaker', key: node.key }, ...compile(parent, node.body), { parent, type: 'exit' },
+        { parent, type: 'reset', key: node.key, next: fallback.length + 1 },
+        { parent, type: 'trip', key: node.key, failures: node.failures, resetAfter: node.resetAfter }, ...fallback]
+      fsm[0].catch = fsm.length - fallback.length - 1
+      fsm[0].fallback = fsm.length - fallback.length
+      return fsm
+    },
+
+    timeout (parent, node) {
+      return [{ parent, type: 'timeout', ms: node.ms }, ...compile(parent, ...node.components), { parent, type: 'exit' }]
+    },
+
     try (parent, node) {
       const handler = [...compile(parent, node.handler), { parent, type: 'pass' }]
       const fsm = [{ parent, type: 'try' }, ...compile(parent, node.body), { parent, type: 'exit' }, ...handler]
@@ -175,6 +279,21 @@ function main (composition) {
       return fsm
     },
 
+    switch_nosave (parent, node) {
+      const fsm = [{ parent, type: 'pass' }, ...compile(parent, node.selector), { parent, type: 'switch', cases: {} }]
+      const base = fsm.length - 1 // index of jump table
+      const ends = [] // indices of last states of cases
+      for (let key of Object.keys(node.cases)) {
+        fsm[base].cases[key] = fsm.length - base
+        fsm.push(...compile(parent, node.cases[key]))
+        ends.push(fsm.length - 1)
+      }
+      fsm[base].default = fsm.length - base
+      fsm.push(...compile(parent, node.default), { parent, type: 'pass' })
+      for (let end of ends) fsm[end].next = fsm.length - 1 - end
+      return fsm
+    },
+
     while_nosave (parent, node) {
       const body = compile(parent, node.body)
       const fsm = [{ parent, type: 'pass' }, ...compile(parent, node.test), { parent, type: 'choice', then: 1, else: body.length + 1 }, ...body, { parent, type: 'pass' }]
@@ -190,19 +309,39 @@ function main (composition) {
 
     parallel (parent, node) {
       const tasks = node.components.map(task => [...compile(parent, task), { parent, type: 'stop' }])
-      const fsm = [{ parent, type: 'parallel' }, ...tasks.reduce((acc, cur) => { acc.push(...cur); return acc }, []), { parent, type: 'pass' }]
+      const fsm = [{ parent, type: node.type }, ...tasks.reduce((acc, cur) => { acc.push(...cur); return acc }, []), { parent, type: 'pass' }]
       fsm[0].return = fsm.length - 1
       fsm[0].tasks = tasks.reduce((acc, cur) => { acc.push(acc[acc.length - 1] + cur.length); return acc }, [1]).slice(0, -1)
       return fsm
     },
 
+    race (parent, node) {
+      return compiler.parallel(parent, node)
+    },
+
+    any (parent, node) {
+      return compiler.parallel(parent, node)
+    },
+
     map (parent, node) {
       const tasks = compile(parent, ...node.components)
-      return [{ parent, type: 'map', return: tasks.length + 2 }, ...tasks, { parent, type: 'stop' }, { parent, type: 'pass' }]
+      return [{ parent, type: 'map', return: tasks.length + 2, concurrency: node.concurrency }, ...tasks, { parent, type: 'stop' }, { parent, type: 'pass' }]
     },
 
     dynamic (parent, node) {
       return [{ parent, type: 'dynamic' }]
+    },
+
+    delay (parent, node) {
+      return [{ parent, type: 'delay', detach: node.detach, until: node.until }]
+    },
+
+    validate (parent, node) {
+      return [{ parent, type: 'validate', schema: node.schema, subject: 'parameters' }]
+    },
+
+    transform (parent, node) {
+      return [{ parent, type: 'transform', mapping: node.mapping }]
     }
   }
 
@@ -211,11 +350,20 @@ function main (composition) {
     if (arguments.length === 2) {
       const fsm = compiler[node.type](node.path || parent, node)
       if (node.path !== undefined) fsm[0].path = node.path
+      if (node.location !== undefined) locations[node.path] = fsm[0].location = node.location
       return fsm
     }
     return Array.prototype.slice.call(arguments, 1).reduce((fsm, node) => { fsm.push(...compile(parent, node)); return fsm }, [])
   }
 
+  // source locations of labelled AST nodes
+  const locations = {}
+
+  // describe AST node for error messages
+  function where (node) {
+    return `AST node root${node.parent}` + (locations[node.parent] !== undefined ? ` (${locations[node.parent]})` : '')
+  }
+
   const fsm = compile('', composition)
 
   const conductor = {
@@ -223,6 +371,12 @@ function main (composition) {
       p.s.state = index + (p.params.value ? node.then : node.else)
     },
 
+    switch ({ p, node, index }) {
+      const value = p.params.value
+      const key = typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' ? `${value}` : undefined
+      p.s.state = index + (key !== undefined && Object.prototype.hasOwnProperty.call(node.cases, key) ? node.cases[key] : node.default)
+    },
+
     try ({ p, node, index }) {
       p.s.stack.unshift({ catch: index + node.catch })
     },
@@ -231,6 +385,52 @@ function main (composition) {
       p.s.stack.unshift({ let: JSON.parse(JSON.stringify(node.let)) })
     },
 
+    timeout ({ p, node, index }) {
+      p.s.stack.unshift({ deadline: Date.now() + node.ms })
+    },
+
+    breaker ({ p, node, index }) {
+      if (!hasRedis(p)) {
+        p.params = { error: 'Breaker combinator requires a properly configured redis instance' }
+        console.error(p.params.error)
+        inspect(p)
+        return
+      }
+      if (!db) db = createRedisClient(p)
+      return db.existsAsync(open(node.key)).then(count => {
+        if (count > 0) { // circuit is open, run fallback
+          console.log(`breaker: ${node.key}, circuit open`)
+          p.s.state = index + node.fallback
+        } else {
+          p.s.stack.unshift({ catch: index + node.catch })
+        }
+        return step(p)
+      })
+    },
+
+    reset ({ p, node, index }) {
+      if (!db) db = createRedisClient(p)
+      return db.delAsync(failures(node.key)).then(() => step(p))
+    },
+
+    trip ({ p, node, index }) {
+      const error = p.params
+      if (!db) db = createRedisClient(p)
+      return db.incrAsync(failures(node.key)).then(count => {
+        console.log(`breaker: ${node.key}, failures: ${count}`)
+        if (count < node.failures) return db.expireAsync(failures(node.key), expiration)
+        console.log(`breaker: ${node.key}, opening circuit for ${node.resetAfter}ms`)
+        // after the reset window, a single failure opens the circuit again
+        return db.setAsync(open(node.key), 1, 'PX', node.resetAfter)
+          .then(() => db.setAsync(failures(node.key), node.failures - 1))
+          .then(() => db.expireAsync(failures(node.key), expiration))
+      }).then(() => {
+        p.params = error
+        inspect(p)
+        return step(p)
+      })
+    },
+
     exit ({ p, node, index }) {
       if (p.s.stack.length === 0) return internalError(`pop from an empty stack`)
       p.s.stack.shift()
@@ -243,11 +443,17 @@ function main (composition) {
     function ({ p, node, index }) {
       return Promise.resolve().then(() => run(node.exec.code, p))
         .catch(error => {
+          if (error && (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' || /^Script execution timed out/.test(error.message))) return { error: `Function combinator exceeded ${limit}ms at ${where(node)}` }
+          let at = node
+          if (node.fused !== undefined && error && isObject(error.$fused)) { // report the fused function that threw
+            at = node.fused[error.$fused.stage] || node
+            error = error.$fused.error
+          }
           console.error(error)
-          return { error: `Function combinator threw an exception at AST node root${node.parent} (see log for details)` }
+          return { error: `Function combinator threw an exception at ${where(at)} (see log for details)` }
         })
         .then(result => {
-          if (typeof result === 'function') result = { error: `Function combinator evaluated to a function type at AST node root${node.parent}` }
+          if (typeof result === 'function') result = { error: `Function combinator evaluated to a function type at ${where(node)}` }
           // if a function has only side effects and no return value, return params
           p.params = JSON.parse(JSON.stringify(result === undefined ? p.params : result))
           inspect(p)
@@ -255,6 +461,23 @@ function main (composition) {
         })
     },
 
+    validate ({ p, node, index }) {
+      const list = violations(node.schema, p.params)
+      if (list.length > 0) {
+        p.params = { error: { message: `Invalid ${node.subject} at ${where(node)}`, violations: list } }
+        inspect(p)
+      }
+    },
+
+    transform ({ p, node, index }) {
+      try {
+        p.params = JSON.parse(JSON.stringify(transform(node.mapping)(p.params)))
+      } catch (error) {
+        p.params = { error: `Invalid transform of ${error.path} at ${where(node)}: ${error.message}` }
+      }
+      inspect(p)
+    },
+
     empty ({ p, node, index }) {
       inspect(p)
     },
@@ -263,13 +486,13 @@ function main (composition) {
     },
 
     async ({ p, node, index, inspect, step }) {
-      p.params.$composer = { state: p.s.state, stack: [{ marker: true }].concat(p.s.stack), redis: p.s.redis, openwhisk: p.s.openwhisk }
+      p.params.$composer = { state: p.s.state, stack: [{ marker: true }].concat(p.s.stack), redis: p.s.redis, openwhisk: p.s.openwhisk, keep: present(p.params) }
       p.s.state = index + node.return
       if (!wsk) wsk = openwhisk(p.s.openwhisk)
       return invoke({ name: process.env.__OW_ACTION_NAME, params: p.params })
         .then(response => ({ method: 'async', activationId: response.activationId, sessionId: p.s.session }), error => {
           console.error(error) // invoke failed
-          return { error: `Async combinator failed to invoke composition at AST node root${node.parent} (see log for details)` }
+          return { error: `Async combinator failed to invoke composition at ${where(node)} (see log for details)` }
         })
         .then(result => {
           p.params = result
@@ -290,6 +513,22 @@ function main (composition) {
       })
     },
 
+    race ({ p, node, index }) {
+      return fork({ p, node, index }, node.tasks, (input, branch) => {
+        const params = Object.assign({}, input) // clone
+        params.$composer = { state: index + branch }
+        return params
+      }, 'race')
+    },
+
+    any ({ p, node, index }) {
+      return fork({ p, node, index }, node.tasks, (input, branch) => {
+        const params = Object.assign({}, input) // clone
+        params.$composer = { state: index + branch }
+        return params
+      }, 'any')
+    },
+
     map ({ p, node, index }) {
       return fork({ p, node, index }, p.params.value || [], (input, branch) => {
         const params = isObject(branch) ? branch : { value: branch } // wrap
@@ -300,11 +539,39 @@ function main (composition) {
 
     dynamic ({ p, node, index }) {
       if (p.params.type !== 'action' || typeof p.params.name !== 'string' || typeof p.params.params !== 'object') {
-        p.params = { error: `Incorrect use of the dynamic combinator at AST node root${node.parent}` }
+        p.params = { error: `Incorrect use of the dynamic combinator at ${where(node)}` }
         inspect(p)
       } else {
         return { method: 'action', action: p.params.name, params: p.params.params, state: { $composer: p.s } }
       }
+    },
+
+    delay ({ p, node, index }) {
+      const value = node.until && typeof p.params.value === 'string' ? new Date(p.params.value).getTime() : p.params.value
+      if (typeof value !== 'number' || isNaN(value)) {
+        p.params = { error: node.until ? `Invalid date at ${where(node)}: ${p.params.value}` : `Incorrect use of the delay combinator at ${where(node)}` }
+        inspect(p)
+        return
+      }
+      if (p.s.wake === undefined) p.s.wake = node.until ? value : Date.now() + value
+      const ms = p.s.wake - Date.now()
+      const budget = process.env.__OW_DEADLINE - Date.now() - 5000 // time left in this activation
+      if (node.detach && !p.s.join && (ms >= detachAfter || ms > budget)) { // resume in a new session when the time comes
+        if (!hasRedis(p)) {
+          p.params = { error: `Sleep combinator requires a properly configured redis instance at ${where(node)}` }
+          inspect(p)
+          return
+        }
+        p.s.state = index
+        return schedule({ p, node, index })
+      }
+      if (ms > budget) { // keep waiting in the next conductor activation
+        p.s.state = index
+        p.s.keep = present(p.params)
+        return wait(budget).then(() => ({ method: 'action', action: '/whisk.system/utils/echo', params: p.params, state: { $composer: p.s } }))
+      }
+      delete p.s.wake
+      return wait(ms).then(() => step(p))
     }
   }
 
@@ -312,7 +579,42 @@ function main (composition) {
     return p.params.error ? p.params : { params: p.params }
   }
 
-  function collect (p, barrierId) {
+  // push branch result, release barrier if complete, return length of barrier list
+  function join ({ barrierId, position, count, mode }, params) {
+    return db.lpushxAsync(live(barrierId), JSON.stringify({ position, params })).then(length => { // push only if marker is present
+      if (length === 0) return length // barrier already released, discard late result
+      if (mode === 'race' ? length === 2 : mode === 'any' ? length > count || params.error === undefined : length > count) {
+        // with any, concurrent branches may attempt to release the barrier, only the first rename succeeds
+        return db.renameAsync(live(barrierId), done(barrierId)).catch(error => mode === 'any' ? undefined : Promise.reject(error)).then(() => length)
+      }
+      return length
+    })
+  }
+
+  // invoke next queued branch of map combinator if any
+  function dequeue (p) {
+    return db.lpopAsync(queue(p.s.join.barrierId)).then(item => {
+      if (item === null) return
+      const params = JSON.parse(item)
+      const { barrierId, position } = params.$composer.join
+      if (!wsk) wsk = openwhisk(p.s.openwhisk)
+      return invoke({ name: process.env.__OW_ACTION_NAME, params })
+        .then(({ activationId }) => { console.log(`barrierId: ${barrierId}, spawned position: ${position} with activationId: ${activationId}`) }, error => {
+          console.error(error.body || error)
+          return join(params.$composer.join, { error: 'Map combinator failed to invoke a composition (see log for details)' })
+            .then(() => dequeue(p))
+        })
+    })
+  }
+
+  // pick result of race or any combinator from results in reverse order of arrival
+  function pick (results, mode) {
+    const ordered = results.slice().reverse()
+    if (mode === 'race') return ordered[0]
+    return ordered.find(({ params }) => !isObject(params) || params.error === undefined) || ordered[ordered.length - 1]
+  }
+
+  function collect (p, barrierId, mode) {
     if (!db) db = createRedisClient(p)
     const timeout = Math.max(Math.floor((process.env.__OW_DEADLINE - new Date()) / 1000) - 5, 1)
     console.log(`barrierId: ${barrierId}, waiting with timeout: ${timeout}s`)
@@ -321,20 +623,39 @@ function main (composition) {
         console.log(`barrierId: ${barrierId}, done waiting`)
         if (marker !== null) {
           return db.lrangeAsync(done(barrierId), 0, -1)
-            .then(result => result.map(JSON.parse).map(({ position, params }) => { p.params.value[position] = params }))
-            .then(() => db.delAsync(live(barrierId), done(barrierId))) // delete keys
+            .then(result => {
+              result = result.map(JSON.parse)
+              if (mode) {
+                p.params = pick(result, mode).params
+              } else {
+                result.forEach(({ position, params }) => { p.params.value[position] = params })
+              }
+            })
+            .then(() => db.delAsync(live(barrierId), done(barrierId), queue(barrierId))) // delete keys
             .then(() => {
               inspect(p)
               return step(p)
             })
         } else { // timeout
           p.s.collect = barrierId
+          if (mode) p.s.mode = mode
+          p.s.keep = present(p.params)
           console.log(`barrierId: ${barrierId}, handling timeout`)
           return { method: 'action', action: '/whisk.system/utils/echo', params: p.params, state: { $composer: p.s } }
         }
       })
   }
 
+  // keys of the default parameters of the conductor action present in params
+  function present (params) {
+    return defaults.map(({ key }) => key).filter(key => Object.prototype.hasOwnProperty.call(params, key))
+  }
+
+  // digest of the json representation of a value
+  function digest (value) {
+    return require(/* webpackIgnore: true */ 'crypto').createHash('sha256').update(JSON.stringify(value)).digest('hex')
+  }
+
   const internalError = error => Promise.reject(error) // terminate composition execution and record error
 
   // wrap params if not a dictionary, branch to error handler if error
@@ -349,6 +670,119 @@ function main (composition) {
     }
   }
 
+  // abort outermost expired timeout if any
+  function expire (p) {
+    let n = 0
+    for (let i = 0; i < p.s.stack.length && !p.s.stack[i].marker; i++) {
+      if (p.s.stack[i].deadline <= Date.now()) n = i + 1
+    }
+    if (n === 0) return false
+    p.s.stack.splice(0, n) // discard frames up to and including the expired timeout
+    p.params = { error: 'timeout' }
+    inspect(p)
+    return true
+  }
+
+  // deep equality of json values
+  function equal (a, b) {
+    if (a === b) return true
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) return false
+    const keys = Object.keys(a)
+    return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && equal(a[key], b[key]))
+  }
+
+  // check json value against json schema (supported subset), return list of violations
+  function violations (schema, value, path = '$', list = []) {
+    const fail = message => list.push({ path, message })
+    const valid = schema => violations(schema, value, path).length === 0
+    const field = key => path + (/^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`)
+    const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value
+    if (schema === true) return list
+    if (schema === false) {
+      fail('should not be present')
+      return list
+    }
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+      if (!types.some(t => t === type || (t === 'integer' && Number.isInteger(value)))) {
+        fail(`should be ${types.join(' or ')}`)
+        return list
+      }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(item => equal(item, value))) fail('should be one of the allowed values')
+    if (schema.const !== undefined && !equal(schema.const, value)) fail(`should be ${JSON.stringify(schema.const)}`)
+    if (type === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) fail(`should be >= ${schema.minimum}`)
+      if (schema.maximum !== undefined && value > schema.maximum) fail(`should be <= ${schema.maximum}`)
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`should be > ${schema.exclusiveMinimum}`)
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`should be < ${schema.exclusiveMaximum}`)
+      if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) fail(`should be a multiple of ${schema.multipleOf}`)
+    }
+    if (type === 'string') {
+      const length = Array.from(value).length
+      if (schema.minLength !== undefined && length < schema.minLength) fail(`should have at least ${schema.minLength} characters`)
+      if (schema.maxLength !== undefined && length > schema.maxLength) fail(`should have at most ${schema.maxLength} characters`)
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) fail(`should match pattern ${JSON.stringify(schema.pattern)}`)
+    }
+    if (type === 'array') {
+      if (schema.minItems !== undefined && value.length < schema.minItems) fail(`should have at least ${schema.minItems} items`)
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`should have at most ${schema.maxItems} items`)
+      if (schema.uniqueItems && value.some((item, i) => value.some((other, j) => j < i && equal(item, other)))) fail('should have unique items')
+      if (schema.items !== undefined) value.forEach((item, i) => violations(schema.items, item, `${path}[${i}]`, list))
+    }
+    if (type === 'object') {
+      for (let key of schema.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) fail(`should have field "${key}"`)
+      }
+      for (let key in value) {
+        if (schema.properties !== undefined && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+          violations(schema.properties[key], value[key], field(key), list)
+        } else if (schema.additionalProperties === false) {
+          fail(`should not have field "${key}"`)
+        } else if (schema.additionalProperties !== undefined) {
+          violations(schema.additionalProperties, value[key], field(key), list)
+        }
+      }
+    }
+    for (let subschema of schema.allOf || []) violations(subschema, value, path, list)
+    if (schema.anyOf !== undefined && !schema.anyOf.some(valid)) fail('should match some schema in "anyOf"')
+    if (schema.oneOf !== undefined && schema.oneOf.filter(valid).length !== 1) fail('should match exactly one schema in "oneOf"')
+    if (schema.not !== undefined && valid(schema.not)) fail('should not match schema in "not"')
+    return list
+  }
+
+  // cpu time limit of function combinators
+  const limit = sandbox.timeout || 100
+
+  // require restricted to the allowlist of modules if any
+  function load (name) {
+    if (Array.isArray(sandbox.modules) && sandbox.modules.indexOf(name) < 0) throw new Error(`Module "${name}" is not allowed in function combinators`)
+    return require(name)
+  }
+
+  // context of function combinators and in-context helpers, created lazily
+  let context
+  let stub // constructor of the process stub
+  let copy // copy of a JSON value in the context
+  let loader // require function of the context
+
+  function contextify () {
+    if (context) return
+    // no prototype from this realm on the global object, no eval or Function constructor in the context
+    context = vm.createContext(Object.create(null), { codeGeneration: { strings: false } })
+    // functions of the conductor action are wrapped in functions of the context
+    const wrap = vm.runInContext('(function (f) { return function () { return f.apply(this, arguments) } })', context)
+    context.console = console
+    for (const name of globals) { // process is replaced by a stub, require is an argument of function combinators
+      if (['console', 'process', 'require'].indexOf(name) < 0 && typeof global[name] !== 'undefined') {
+        context[name] = /^(set|clear)/.test(name) ? wrap(global[name]) : global[name]
+      }
+    }
+    loader = wrap(load)
+    stub = vm.runInContext('(function (env) { return Object.freeze({ env: Object.freeze(JSON.parse(env)) }) })', context)
+    copy = vm.runInContext('(function (json) { return JSON.parse(json) })', context)
+  }
+
   // run function f on current stack
   function run (f, p) {
     // handle let/mask pairs
@@ -376,13 +810,21 @@ function main (composition) {
     const env = view.reduceRight((acc, cur) => cur.let ? Object.assign(acc, cur.let) : acc, {})
     let main = '(function(){try{const require=arguments[2];'
     for (const name in env) main += `var ${name}=arguments[1]['${name}'];`
-    main += `return eval((function(){return(${f})})())(arguments[0])}finally{`
+    main += `return(${f})(arguments[0])}finally{`
     for (const name in env) main += `arguments[1]['${name}']=${name};`
     main += '}})'
+    contextify()
+    context.process = stub(JSON.stringify(process.env)) // read-only copy of the environment of this activation
+    // parameters and let variables are copied so that their objects belong to the context, e.g., for instanceof
+    // the copy of the parameters replaces the parameters since functions may update them
+    p.params = copy(JSON.stringify(p.params))
+    const vars = copy(JSON.stringify(env))
+    context.$arguments = [p.params, vars, loader]
     try {
-      return (1, eval)(main)(p.params, env, require)
+      return vm.runInContext(`${main}(...$arguments)`, context, { timeout: limit })
     } finally {
-      for (const name in env) set(name, env[name])
+      delete context.$arguments
+      for (const name in env) set(name, vars[name])
     }
   }
 
@@ -393,18 +835,21 @@ function main (composition) {
       console.log(JSON.stringify(p.params))
       if (p.s.join) {
         if (!db) db = createRedisClient(p)
-        return db.lpushxAsync(live(p.s.join.barrierId), JSON.stringify({ position: p.s.join.position, params: p.params })).then(count => { // push only if marker is present
-          return (count > p.s.join.count ? db.renameAsync(live(p.s.join.barrierId), done(p.s.join.barrierId)) : Promise.resolve())
-        }).then(() => {
-          p.params = { method: 'join', sessionId: p.s.session, barrierId: p.s.join.barrierId, position: p.s.join.position }
-        })
+        const { barrierId, position } = p.s.join
+        return join(p.s.join, p.params)
+          .then(length => length > 0 && p.s.join.queue ? dequeue(p) : undefined) // start next queued branch
+          .then(() => {
+            p.params = { method: 'join', sessionId: p.s.session, barrierId, position }
+          })
       }
       return
     }
 
+    if (expire(p)) return step(p)
+
     // process one state
     const node = fsm[p.s.state] // json definition for index state
-    if (node.path !== undefined) console.log(`Entering composition${node.path}`)
+    if (node.path !== undefined) console.log(`Entering composition${node.path}` + (node.location !== undefined ? ` at ${node.location}` : ''))
     const index = p.s.state // current state
     p.s.state = p.s.state + (node.next || 1) // default next state
     if (typeof conductor[node.type] !== 'function') return internalError(`unexpected "${node.type}" combinator`)
@@ -416,6 +861,18 @@ function main (composition) {
     // extract parameters
     const $composer = params.$composer || {}
     delete params.$composer
+    const resume = $composer.state === undefined ? params.$resume : undefined // key of a scheduled session
+    if (resume !== undefined) delete params.$resume
+
+    // the default parameters bound to the conductor action are also merged into the params of later activations
+    // of the composition, drop them unless passed on by this conductor or produced with a different value
+    const keep = $composer.keep || []
+    delete $composer.keep
+    if ($composer.state !== undefined) {
+      for (let { key, digest: bound } of defaults) {
+        if (keep.indexOf(key) < 0 && params[key] !== undefined && digest(params[key]) === bound) delete params[key]
+      }
+    }
     $composer.session = $composer.session || process.env.__OW_ACTIVATION_ID
 
     // current state
@@ -423,13 +880,22 @@ function main (composition) {
 
     // step and catch all errors
     return Promise.resolve().then(() => {
+      if (resume !== undefined) { // scheduled session
+        return restore(p, resume).then(() => {
+          inspect(p)
+          return step(p)
+        })
+      }
+
       if (typeof p.s.state !== 'number') return internalError('state parameter is not a number')
       if (!Array.isArray(p.s.stack)) return internalError('stack parameter is not an array')
 
       if (p.s.collect) { // waiting on parallel branches
         const barrierId = p.s.collect
+        const mode = p.s.mode
         delete p.s.collect
-        return collect(p, barrierId)
+        delete p.s.mode
+        return collect(p, barrierId, mode)
       }
 
       if ($composer.resuming) inspect(p) // handle error objects when resuming
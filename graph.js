@@ -0,0 +1,296 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+// shorten long labels
+const abbreviate = string => string.length > 32 ? string.substring(0, 29) + '...' : string
+
+/**
+ * Builds the control-flow graph of a composition.
+ *
+ * Returns an object with fields:
+ *   nodes: an array of { id, type, path, shape, label }
+ *   edges: an array of { from, to, kind, label } where kind is one of
+ *     flow: normal control flow
+ *     loop: back edge of a loop
+ *     fork: edge to a concurrent branch
+ *     join: edge from a concurrent branch
+ *     catch: edge taken on error
+ */
+function graph (composition) {
+  const nodes = []
+  const edges = []
+
+  const node = (type, path, shape, label) => {
+    const id = `n${nodes.length}`
+    nodes.push({ id, type, path, shape, label: path ? `${label}\n${path}` : label })
+    return id
+  }
+
+  const edge = (from, to, kind = 'flow', label) => {
+    const edge = { from, to, kind }
+    if (label !== undefined) edge.label = label
+    edges.push(edge)
+  }
+
+  // connect dangling exits of a fragment to a node
+  const connect = (exits, to, kind) => {
+    for (let exit of exits) edge(exit.id, to, kind || exit.kind, exit.label)
+  }
+
+  // a fragment is an object { entry, exits } or null if the composition has no node (empty sequence)
+  // branch from a node to a fragment and return the resulting exits
+  const branch = (from, fragment, kind, label) => {
+    if (!fragment) return [{ id: from, kind, label }]
+    edge(from, fragment.entry, kind, label)
+    return fragment.exits
+  }
+
+  // sequence fragments
+  const chain = fragments => {
+    fragments = fragments.filter(fragment => fragment)
+    if (fragments.length === 0) return null
+    for (let i = 1; i < fragments.length; i++) connect(fragments[i - 1].exits, fragments[i].entry)
+    return { entry: fragments[0].entry, exits: fragments[fragments.length - 1].exits }
+  }
+
+  // node for a composition
+  const single = (composition, shape, label) => {
+    const combinator = composition['.combinator']()
+    if (label === undefined) {
+      const details = (combinator.args || [])
+        .filter(arg => ['number', 'string', 'boolean'].indexOf(arg.type) >= 0 && composition[arg.name] !== undefined)
+        .map(arg => `${arg.name}: ${abbreviate(String(composition[arg.name]))}`)
+      label = [composition.type, ...details].join('\n')
+    }
+    return node(composition.type, composition.path, shape, label)
+  }
+
+  // list nested compositions in order
+  const nested = composition => {
+    const combinator = composition['.combinator']()
+    const compositions = []
+    for (let arg of combinator.args || []) {
+      if (arg.type === undefined && composition[arg.name] !== undefined) compositions.push(composition[arg.name])
+      if (arg.type === 'compositions' && composition[arg.name] !== undefined) {
+        for (let key in composition[arg.name]) compositions.push(composition[arg.name][key])
+      }
+    }
+    return compositions.concat(composition.components || [])
+  }
+
+  const build = composition => {
+    switch (composition.type) {
+      case 'empty':
+      case 'seq':
+      case 'sequence':
+        return chain((composition.components || []).map(build))
+
+      case 'action': {
+        const id = single(composition, 'box', `action\n${composition.name}`)
+        return { entry: id, exits: [{ id }] }
+      }
+
+      case 'function': {
+        const id = single(composition, 'box', 'function')
+        return { entry: id, exits: [{ id }] }
+      }
+
+      case 'literal':
+      case 'value': {
+        const id = single(composition, 'box', `${composition.type}\n${abbreviate(JSON.stringify(composition.value))}`)
+        return { entry: id, exits: [{ id }] }
+      }
+
+      case 'if':
+      case 'if_nosave': {
+        const test = build(composition.test)
+        const id = single(composition, 'diamond')
+        if (test) connect(test.exits, id)
+        const exits = branch(id, build(composition.consequent), 'flow', 'then')
+          .concat(branch(id, build(composition.alternate), 'flow', 'else'))
+        return { entry: test ? test.entry : id, exits }
+      }
+
+      case 'switch':
+      case 'switch_nosave': {
+        const selector = build(composition.selector)
+        const id = single(composition, 'diamond')
+        if (selector) connect(selector.exits, id)
+        let exits = []
+        for (let key in composition.cases) exits = exits.concat(branch(id, build(composition.cases[key]), 'flow', key))
+        exits = exits.concat(branch(id, build(composition.default), 'flow', 'default'))
+        return { entry: selector ? selector.entry : id, exits }
+      }
+
+      case 'while':
+      case 'while_nosave': {
+        const test = build(composition.test)
+        const id = single(composition, 'diamond')
+        if (test) connect(test.exits, id)
+        const entry = test ? test.entry : id
+        connect(branch(id, build(composition.body), 'flow', 'then'), entry, 'loop')
+        return { entry, exits: [{ id, label: 'else' }] }
+      }
+
+      case 'dowhile':
+      case 'dowhile_nosave': {
+        const body = build(composition.body)
+        const test = build(composition.test)
+        const id = single(composition, 'diamond')
+        const entry = chain([body, test, { entry: id, exits: [] }]).entry
+        edge(id, entry, 'loop', 'then')
+        return { entry, exits: [{ id, label: 'else' }] }
+      }
+
+      case 'repeat': {
+        const id = single(composition, 'diamond')
+        connect(branch(id, chain(composition.components.map(build)), 'flow', 'then'), id, 'loop')
+        return { entry: id, exits: [{ id, label: 'else' }] }
+      }
+
+      case 'try': {
+        const id = single(composition, 'rounded')
+        const exits = branch(id, build(composition.body))
+          .concat(branch(id, build(composition.handler), 'catch', 'catch'))
+        return { entry: id, exits }
+      }
+
+      case 'finally': {
+        const id = single(composition, 'rounded')
+        const finalizer = build(composition.finalizer)
+        const body = branch(id, build(composition.body))
+        if (!finalizer) return { entry: id, exits: body }
+        connect(body, finalizer.entry)
+        edge(id, finalizer.entry, 'catch', 'error')
+        return { entry: id, exits: finalizer.exits }
+      }
+
+      case 'retry': {
+        const id = single(composition, 'rounded')
+        const exits = branch(id, chain(composition.components.map(build)))
+        for (let exit of exits) edge(exit.id, id, 'catch', 'retry')
+        return { entry: id, exits }
+      }
+
+      case 'breaker': {
+        const id = single(composition, 'rounded')
+        const exits = branch(id, build(composition.body))
+          .concat(branch(id, build(composition.fallback), 'catch', 'open'))
+        return { entry: id, exits }
+      }
+
+      case 'parallel':
+      case 'par':
+      case 'race':
+      case 'any':
+      case 'map': {
+        const id = single(composition, 'fork')
+        const join = node(composition.type, undefined, 'join', 'join')
+        const branches = composition.type === 'map' ? [chain(composition.components.map(build))] : composition.components.map(build)
+        for (let fragment of branches) connect(branch(id, fragment, 'fork', composition.type === 'map' ? 'each' : undefined), join, 'join')
+        return { entry: id, exits: [{ id: join }] }
+      }
+
+      case 'async': {
+        const id = single(composition, 'fork')
+        branch(id, chain(composition.components.map(build)), 'fork')
+        return { entry: id, exits: [{ id }] }
+      }
+
+      case 'let': {
+        const id = single(composition, 'rounded', `let\n${abbreviate(Object.keys(composition.declarations).join(', '))}`)
+        const exits = branch(id, chain(composition.components.map(build)))
+        return { entry: id, exits }
+      }
+
+      default: {
+        // group nested compositions in order
+        const id = single(composition, 'rounded')
+        const exits = branch(id, chain(nested(composition).map(build)))
+        return { entry: id, exits }
+      }
+    }
+  }
+
+  const start = node(undefined, undefined, 'terminal', 'start')
+  const exits = branch(start, build(composition))
+  const end = node(undefined, undefined, 'terminal', 'end')
+  connect(exits, end)
+  return { nodes, edges }
+}
+
+/**
+ * Renders a graph in the Graphviz DOT language.
+ */
+function dot ({ nodes, edges }) {
+  const quote = string => `"${string.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  const shapes = {
+    box: 'shape=box',
+    rounded: 'shape=box style=rounded',
+    diamond: 'shape=diamond',
+    fork: 'shape=trapezium',
+    join: 'shape=invtrapezium',
+    terminal: 'shape=ellipse'
+  }
+  const styles = {
+    flow: '',
+    loop: '',
+    fork: ' style=bold',
+    join: ' style=bold',
+    catch: ' style=dashed color=red'
+  }
+  const lines = ['digraph composition {']
+  for (let node of nodes) lines.push(`  ${node.id} [label=${quote(node.label)} ${shapes[node.shape]}]`)
+  for (let edge of edges) {
+    const attributes = (edge.label !== undefined ? `label=${quote(edge.label)}` : '') + styles[edge.kind]
+    lines.push(`  ${edge.from} -> ${edge.to}` + (attributes ? ` [${attributes.trim()}]` : ''))
+  }
+  lines.push('}')
+  return lines.join('\n')
+}
+
+/**
+ * Renders a graph as a Mermaid flowchart.
+ */
+function mermaid ({ nodes, edges }) {
+  const quote = string => `"${string.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;').replace(/\n/g, '<br/>')}"`
+  const shapes = {
+    box: label => `[${label}]`,
+    rounded: label => `(${label})`,
+    diamond: label => `{${label}}`,
+    fork: label => `[/${label}\\]`,
+    join: label => `[\\${label}/]`,
+    terminal: label => `([${label}])`
+  }
+  const arrows = {
+    flow: '-->',
+    loop: '-->',
+    fork: '==>',
+    join: '==>',
+    catch: '-.->'
+  }
+  const lines = ['flowchart TD']
+  for (let node of nodes) lines.push(`  ${node.id}${shapes[node.shape](quote(node.label))}`)
+  for (let edge of edges) {
+    lines.push(`  ${edge.from} ${arrows[edge.kind]}` + (edge.label !== undefined ? `|${quote(edge.label)}|` : '') + ` ${edge.to}`)
+  }
+  return lines.join('\n')
+}
+
+module.exports = { graph, dot, mermaid }
@@ -0,0 +1,65 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const terser = require('terser')
+const vm = require('vm')
+
+// identifiers available to functions in addition to let variables: standard Javascript globals and sandbox globals
+const globals = new Set(Object.getOwnPropertyNames(vm.runInNewContext('this')).concat(require('./conductor').globals))
+
+/**
+ * Analyzes the code of a function combinator.
+ *
+ * Returns an object with fields:
+ *   refs: the free identifiers other than globals, with a read flag
+ *   constant: if the function returns a constant, a dictionary { value }
+ *   error: if the code cannot be parsed, the error message
+ */
+function analyze (code) {
+  let ast
+  try {
+    ast = terser.parse(`(${code})`)
+  } catch (error) {
+    return { error: error.message, refs: [] }
+  }
+  ast.figure_out_scope()
+
+  const refs = []
+  const walker = new terser.TreeWalker(node => {
+    if (node instanceof terser.AST_SymbolRef && node.thedef && node.thedef.undeclared && !globals.has(node.name)) {
+      const parent = walker.parent()
+      refs.push({ name: node.name, read: !(parent instanceof terser.AST_Assign && parent.operator === '=' && parent.left === node) })
+    }
+  })
+  ast.walk(walker)
+
+  // detect functions with a single return statement or an expression body returning a literal
+  const fun = ast.body.length === 1 && ast.body[0].body
+  let expression
+  if (fun && Array.isArray(fun.body)) {
+    if (fun.body.length === 1 && fun.body[0] instanceof terser.AST_Return) expression = fun.body[0].value
+  } else if (fun) {
+    expression = fun.body
+  }
+  const result = { refs }
+  if (expression instanceof terser.AST_Constant) result.constant = { value: expression.getValue() }
+  return result
+}
+
+module.exports = { analyze }
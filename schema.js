@@ -0,0 +1,152 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const Ajv = require('ajv')
+
+let schema = require('./composition.schema.json')
+let ajv // compiled lazily
+
+// json schema of the arguments of a combinator by argument type
+const types = {
+  undefined: { $ref: '#/definitions/composition' },
+  name: { type: 'string' },
+  string: { type: 'string' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  object: { type: 'object' },
+  compositions: { $ref: '#/definitions/compositions' }
+}
+
+/**
+ * Validates a json value against the composition file schema or one of its
+ * definitions (e.g. 'composition').
+ *
+ * Returns undefined if valid or an object with fields:
+ *   path: the JSON path of the first invalid node, e.g. $.composition.components[0]
+ *   message: the error message
+ */
+function check (json, definition) {
+  if (!ajv) {
+    ajv = new Ajv({ verbose: true })
+    ajv.addSchema(schema, 'composition')
+  }
+  const validate = ajv.getSchema(definition ? `composition#/definitions/${definition}` : 'composition')
+  if (validate(json)) return
+
+  // skip the errors reporting that a conditional subschema failed
+  const error = validate.errors.find(error => error.keyword !== 'if') || validate.errors[0]
+  let message = error.message
+  switch (error.keyword) {
+    case 'additionalProperties':
+      message = `should not have field "${error.params.additionalProperty}"`
+      break
+    case 'required':
+      message = `should have field "${error.params.missingProperty.replace(/^\./, '')}"`
+      break
+    case 'enum':
+      message = `unknown combinator type ${JSON.stringify(error.data)}`
+      break
+    case 'const':
+      message = `should be ${JSON.stringify(error.params.allowedValue)}`
+      break
+  }
+  return { path: '$' + error.dataPath, message }
+}
+
+/**
+ * Extends the schema with a combinator type registered by a plugin, deriving
+ * its definition from the combinator specification.
+ */
+function register (type, combinator) {
+  schema = JSON.parse(JSON.stringify(schema)) // copy
+  const definition = {
+    type: 'object',
+    required: ['type'],
+    properties: { type: { const: type }, path: { type: 'string' }, location: { type: 'string' } },
+    additionalProperties: false
+  }
+  for (let arg of combinator.args || []) {
+    definition.properties[arg.name] = types[arg.type] || {}
+    if (!arg.optional) definition.required.push(arg.name)
+  }
+  if (combinator.components) definition.properties.components = { type: 'array', items: { $ref: '#/definitions/composition' } }
+  const composition = schema.definitions.composition
+  const known = composition.properties.type.anyOf[0].enum // unregistered prefixed types are accepted as is
+  if (known.indexOf(type) < 0) {
+    known.push(type)
+    composition.allOf.push({ if: { properties: { type: { const: type } } }, then: { $ref: `#/definitions/${type}` } })
+  }
+  schema.definitions[type] = definition
+  ajv = undefined // recompile
+}
+
+// keywords of the json schemas of the validate combinator without subschemas
+const keywords = ['type', 'enum', 'const', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'required',
+  '$schema', '$comment', 'title', 'description', 'default', 'examples']
+
+let meta // compiled lazily
+
+/**
+ * Validates a json schema for the validate combinator. Only the subset of json
+ * schema evaluated by the conductor action is accepted.
+ *
+ * Returns undefined if valid or an object with fields:
+ *   path: the JSON path of the first invalid node, e.g. $.properties.name
+ *   message: the error message
+ */
+function checkSchema (json) {
+  if (!meta) meta = new Ajv()
+  if (!meta.validateSchema(json)) {
+    const error = meta.errors[0]
+    return { path: '$' + error.dataPath, message: error.message }
+  }
+  const walk = (json, path) => {
+    if (typeof json === 'boolean') return
+    for (let key in json) {
+      let problem
+      switch (key) {
+        case 'properties':
+          for (let name in json.properties) {
+            problem = problem || walk(json.properties[name], `${path}.properties[${JSON.stringify(name)}]`)
+          }
+          break
+        case 'items':
+          if (Array.isArray(json.items)) return { path: `${path}.items`, message: 'should be a schema' }
+          problem = walk(json.items, `${path}.items`)
+          break
+        case 'additionalProperties':
+        case 'not':
+          problem = walk(json[key], `${path}.${key}`)
+          break
+        case 'allOf':
+        case 'anyOf':
+        case 'oneOf':
+          json[key].forEach((subschema, index) => { problem = problem || walk(subschema, `${path}.${key}[${index}]`) })
+          break
+        default:
+          if (keywords.indexOf(key) < 0) return { path, message: `unsupported keyword "${key}"` }
+      }
+      if (problem) return problem
+    }
+  }
+  return walk(json, '$')
+}
+
+module.exports = { check, register, checkSchema }
@@ -0,0 +1,331 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint no-new-func: 0 */
+
+'use strict'
+
+const conductor = require('./conductor')
+const crypto = require('crypto')
+const fqn = require('./fqn')
+const util = require('util')
+
+const isObject = obj => typeof obj === 'object' && obj !== null && !Array.isArray(obj)
+
+// redis commands used by the conductor
+const commands = ['brpop', 'del', 'exists', 'expire', 'incr', 'lpop', 'lpush', 'lpushx', 'lrange', 'rename', 'rpush', 'set']
+
+// generate an activation id
+const id = () => crypto.randomBytes(16).toString('hex')
+
+// in-memory substitute for the redis instance used by parallel combinators
+class Store {
+  constructor () {
+    this.data = {} // lists and strings
+    this.deadlines = {} // expiration times
+    this.waiting = {} // blocked brpop calls
+  }
+
+  // get value for key if any, purge expired key
+  get (key) {
+    if (this.deadlines[key] <= Date.now()) {
+      delete this.data[key]
+      delete this.deadlines[key]
+    }
+    return this.data[key]
+  }
+
+  // get list for key, create list if requested
+  list (key, create) {
+    const value = this.get(key)
+    if (value !== undefined && !Array.isArray(value)) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value')
+    if (value === undefined && create) this.data[key] = []
+    return this.data[key]
+  }
+
+  remove (key) {
+    delete this.data[key]
+    delete this.deadlines[key]
+  }
+
+  // wake up the oldest blocked brpop on key if any
+  notify (key) {
+    const waiting = this.waiting[key]
+    if (waiting && waiting.length > 0 && this.list(key)) waiting.shift()()
+  }
+
+  brpop (key, timeout) {
+    return new Promise(resolve => {
+      const pop = () => {
+        clearTimeout(timer)
+        const list = this.list(key)
+        const value = list.pop()
+        if (list.length === 0) this.remove(key)
+        resolve([key, value])
+      }
+      let timer
+      if (this.list(key)) return pop()
+      this.waiting[key] = (this.waiting[key] || []).concat(pop)
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          this.waiting[key] = this.waiting[key].filter(f => f !== pop)
+          resolve(null)
+        }, timeout * 1000)
+      }
+    })
+  }
+
+  del (...keys) {
+    let count = 0
+    for (let key of keys) {
+      if (this.get(key) !== undefined) {
+        this.remove(key)
+        count++
+      }
+    }
+    return count
+  }
+
+  exists (...keys) {
+    return keys.filter(key => this.get(key) !== undefined).length
+  }
+
+  expire (key, seconds) {
+    if (this.get(key) === undefined) return 0
+    this.deadlines[key] = Date.now() + seconds * 1000
+    return 1
+  }
+
+  incr (key) {
+    const value = this.get(key) === undefined ? 0 : Number(this.data[key])
+    if (!Number.isInteger(value)) throw new Error('ERR value is not an integer or out of range')
+    this.data[key] = String(value + 1)
+    return value + 1
+  }
+
+  lpop (key) {
+    const list = this.list(key)
+    if (!list) return null
+    const value = list.shift()
+    if (list.length === 0) this.remove(key)
+    return value
+  }
+
+  lpush (key, ...values) {
+    const list = this.list(key, true)
+    list.unshift(...values.map(String).reverse())
+    this.notify(key)
+    return list.length
+  }
+
+  lpushx (key, ...values) {
+    return this.list(key) ? this.lpush(key, ...values) : 0
+  }
+
+  lrange (key, start, stop) {
+    const list = this.list(key) || []
+    return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1)
+  }
+
+  rename (key, newkey) {
+    if (this.get(key) === undefined) throw new Error('ERR no such key')
+    const deadline = this.deadlines[key]
+    this.data[newkey] = this.data[key]
+    this.remove(key)
+    if (deadline !== undefined) this.deadlines[newkey] = deadline
+    this.notify(newkey)
+    return 'OK'
+  }
+
+  rpush (key, ...values) {
+    const list = this.list(key, true)
+    list.push(...values.map(String))
+    this.notify(key)
+    return list.length
+  }
+
+  // support optional PX milliseconds argument only
+  set (key, value, ...options) {
+    this.remove(key)
+    this.data[key] = String(value)
+    if (`${options[0]}`.toUpperCase() === 'PX') this.deadlines[key] = Date.now() + Number(options[1])
+    return 'OK'
+  }
+
+  // redis client with node-style callbacks
+  client () {
+    const client = { on () { }, end () { } }
+    for (let command of commands) {
+      client[command] = (...args) => {
+        const callback = args.pop()
+        Promise.resolve().then(() => this[command](...args)).then(result => callback(null, result), callback)
+      }
+    }
+    return client
+  }
+}
+
+// run compiled composition in process with local action stubs
+function simulate (composition, params = {}, { actions = {}, name = 'composition', timeout = 60000, logs, sandbox } = {}) {
+  const store = new Store()
+  const registry = {}
+  const triggers = {}
+  const rules = {}
+
+  // the $composer parameter is bound to the conductor actions, e.g., for the resumed sessions of scheduled pauses
+  const $composer = Object.assign({ redis: { uri: 'redis://simulator' }, openwhisk: {} }, params.$composer)
+
+  // normalize action result
+  const wrap = f => params => Promise.resolve().then(() => f(JSON.parse(JSON.stringify(params))))
+    .then(result => isObject(result) ? JSON.parse(JSON.stringify(result)) : { error: 'The action did not produce a valid JSON response' },
+      error => ({ error: `An error has occurred: ${(error && error.message) || error}` }))
+
+  // invoke action or conductor action by name
+  function invoke (name, params) {
+    let action
+    try {
+      action = registry[fqn(name)]
+    } catch (error) {
+      return Promise.resolve({ error: `${error.message}: ${name}` })
+    }
+    if (!action) return Promise.resolve({ error: `The requested resource does not exist: ${name}` })
+    return action(params)
+  }
+
+  // dictionary of default parameters
+  function defaults (parameters = []) {
+    const params = {}
+    for (let { key, value } of parameters) params[key] = JSON.parse(JSON.stringify(value))
+    return params
+  }
+
+  // fire trigger, i.e., invoke the actions of the rules for this trigger
+  function fire (trigger) {
+    const params = {}
+    for (let { key, value } of triggers[trigger].parameters) params[key] = value
+    for (let name in rules) {
+      if (rules[name].trigger === trigger) invoke(rules[name].action, JSON.parse(JSON.stringify(params)))
+    }
+  }
+
+  // define conductor action for composition
+  function define (name, composition) {
+    const code = conductor.generate(Object.assign({}, composition, { name, sandbox })).action.exec.code
+    const factory = new Function('require', 'process', 'console', `${code}\nreturn main`)
+
+    const openwhisk = () => ({
+      actions: {
+        invoke ({ name, params }) { // non-blocking invocation
+          invoke(name, params)
+          return Promise.resolve({ activationId: id() })
+        }
+      },
+      triggers: {
+        create ({ name, trigger = {} }) {
+          triggers[name] = { parameters: JSON.parse(JSON.stringify(trigger.parameters || [])) }
+          return Promise.resolve({ name })
+        },
+        delete ({ name }) {
+          delete triggers[name]
+          return Promise.resolve({ name })
+        }
+      },
+      rules: {
+        create ({ name, action, trigger }) {
+          rules[name] = { action, trigger }
+          return Promise.resolve({ name })
+        },
+        delete ({ name }) {
+          delete rules[name]
+          return Promise.resolve({ name })
+        }
+      },
+      feeds: {
+        create ({ name, trigger, params }) { // only support one-off alarms deleted after firing
+          if (name !== '/whisk.system/alarms/once' || !triggers[trigger]) return Promise.reject(new Error(`The requested resource does not exist: ${name}`))
+          setTimeout(() => {
+            fire(trigger)
+            for (let rule in rules) if (rules[rule].trigger === trigger) delete rules[rule]
+            delete triggers[trigger]
+          }, Math.max(new Date(params.date).getTime() - Date.now(), 0))
+          return Promise.resolve({})
+        }
+      }
+    })
+
+    const modules = {
+      openwhisk,
+      redis: { createClient: () => store.client() },
+      'redis-commands': { list: commands },
+      uuid: { v4: id }
+    }
+
+    const fake = request => Object.prototype.hasOwnProperty.call(modules, request) ? modules[request] : require(request)
+
+    const record = (...args) => { if (Array.isArray(logs)) logs.push(util.format(...args)) }
+    const console = { log: record, info: record, warn: record, error: record, err: record }
+
+    // run conductor action until composition completes, binding default parameters to every activation
+    const step = params => {
+      params = Object.assign({ $composer: JSON.parse(JSON.stringify($composer)) }, defaults(composition.parameters), params)
+      const env = Object.assign({}, process.env, {
+        __OW_ACTION_NAME: name,
+        __OW_ACTIVATION_ID: id(),
+        __OW_DEADLINE: `${Date.now() + timeout}`
+      })
+      return factory(fake, { env }, console)(params).then(result => {
+        if (typeof result.action === 'string') {
+          return invoke(result.action, result.params).then(output => step(Object.assign(output, result.state)))
+        }
+        return result.error !== undefined ? { error: result.error } : result.params
+      })
+    }
+
+    registry[name] = params => step(JSON.parse(JSON.stringify(params)))
+  }
+
+  registry['/whisk.system/utils/echo'] = wrap(params => params)
+
+  // embedded action definitions
+  for (let { name, action } of composition.actions || []) {
+    const exec = action.exec || {}
+    let f
+    if (exec.kind === 'sequence') {
+      f = params => exec.components.reduce((promise, component) =>
+        promise.then(params => params.error !== undefined ? params : invoke(component, params)), Promise.resolve(params))
+    } else if (typeof exec.code === 'string' && typeof exec.kind === 'string' && exec.kind.startsWith('nodejs')) {
+      f = wrap(new Function('require', `${exec.code}\nreturn main`)(require))
+    }
+    if (f) registry[fqn(name)] = params => f(Object.assign(defaults(action.parameters), params))
+  }
+
+  for (let name in actions) {
+    const action = actions[name]
+    if (typeof action === 'function') {
+      registry[fqn(name)] = wrap(action)
+    } else {
+      define(fqn(name), typeof action.compile === 'function' ? action.compile() : action)
+    }
+  }
+
+  name = fqn(name)
+  define(name, composition)
+
+  return invoke(name, Object.assign({}, params, { $composer }))
+}
+
+module.exports = { simulate }
@@ -0,0 +1,472 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict'
+
+const assert = require('assert')
+const composer = require('../composer')
+
+// local action stubs
+const actions = {
+  echo: x => x,
+  inc: ({ n }) => ({ n: n + 1 }),
+  double: ({ n }) => ({ n: n * 2 }),
+  fail: () => ({ error: { Error: 'CustomError', Cause: 'failed' } }),
+  crash: () => ({ error: 'crashed' })
+}
+
+// translate and simulate state machine
+const invoke = (definition, params = {}, stubs = actions) => composer.simulate(composer.fromASL(definition), params, { actions: stubs })
+
+// state machine with a single state
+const single = state => ({ StartAt: 'S', States: { S: Object.assign({ End: true }, state) } })
+
+// assert that translation fails with the given message
+const rejects = (definition, message) => {
+  try {
+    composer.fromASL(definition)
+    assert.fail()
+  } catch (error) {
+    assert.ok(error.message.startsWith(message), error.message)
+  }
+}
+
+describe('asl', function () {
+  describe('arguments', function () {
+    it('too many arguments', function () {
+      try {
+        composer.fromASL(single({ Type: 'Pass' }), 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid definition', function () {
+      rejects('foo', 'Invalid argument "definition" in "fromASL"')
+    })
+  })
+
+  describe('errors', function () {
+    it('missing StartAt', function () {
+      rejects({ StartAt: 'X', States: { S: { Type: 'Pass', End: true } } }, 'Invalid field "StartAt" in "fromASL"')
+    })
+
+    it('unsupported state type', function () {
+      rejects(single({ Type: 'Activity' }), 'Unsupported state type "Activity" in state "S" in "fromASL"')
+    })
+
+    it('unsupported field', function () {
+      rejects(single({ Type: 'Task', Resource: 'echo', HeartbeatSeconds: 10 }), 'Unsupported field "HeartbeatSeconds" in state "S" in "fromASL"')
+    })
+
+    it('unknown state', function () {
+      rejects({ StartAt: 'S', States: { S: { Type: 'Pass', Next: 'T' } } }, 'Unknown state "T" in field "Next" in state "S" in "fromASL"')
+    })
+
+    it('missing transition', function () {
+      rejects({ StartAt: 'S', States: { S: { Type: 'Pass' } } }, 'Expected exactly one of fields "Next", "End" in state "S" in "fromASL"')
+    })
+
+    it('unsupported resource', function () {
+      rejects(single({ Type: 'Task', Resource: 'arn:aws:states:::sqs:sendMessage' }), 'Unsupported resource in state "S" in "fromASL"')
+    })
+
+    it('unsupported intrinsic function', function () {
+      rejects(single({ Type: 'Pass', Parameters: { 'msg.$': 'States.Format(\'{}\', $.name)' } }), 'Unsupported intrinsic function in field "Parameters" in state "S" in "fromASL"')
+    })
+
+    it('unsupported context object', function () {
+      rejects(single({ Type: 'Pass', InputPath: '$$.Execution.Id' }), 'Unsupported context object path "$$.Execution.Id" in field "InputPath" in state "S" in "fromASL"')
+    })
+
+    it('unsupported path', function () {
+      rejects(single({ Type: 'Pass', OutputPath: '$.items[*]' }), 'Unsupported path "$.items[*]" in field "OutputPath" in state "S" in "fromASL"')
+    })
+
+    it('unsupported choice operator', function () {
+      rejects({ StartAt: 'C', States: { C: { Type: 'Choice', Choices: [{ Variable: '$.x', StringContains: 'a', Next: 'E' }] }, E: { Type: 'Succeed' } } },
+        'Unsupported choice rule operator "StringContains" in field "Choices[0]" in state "C" in "fromASL"')
+    })
+
+    it('distributed map', function () {
+      rejects(single({ Type: 'Map', ItemProcessor: { ProcessorConfig: { Mode: 'DISTRIBUTED' }, StartAt: 'T', States: { T: { Type: 'Succeed' } } } }),
+        'Unsupported field "ItemProcessor.ProcessorConfig" in state "S" in "fromASL"')
+    })
+
+    it('nested state', function () {
+      rejects(single({ Type: 'Parallel', Branches: [{ StartAt: 'T', States: { T: { Type: 'Foo' } } }] }), 'Unsupported state type "Foo" in state "S/0/T" in "fromASL"')
+    })
+  })
+
+  describe('translation', function () {
+    it('sequence', function () {
+      const composition = composer.fromASL({ StartAt: 'A', States: { A: { Type: 'Task', Resource: 'inc', Next: 'B' }, B: { Type: 'Task', Resource: 'double', End: true } } })
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(composition)), JSON.parse(JSON.stringify(composer.seq('inc', 'double'))))
+    })
+
+    it('lambda function', function () {
+      assert.deepStrictEqual(composer.fromASL(single({ Type: 'Task', Resource: 'arn:aws:lambda:us-east-1:123456789012:function:inc:prod' })).name, '/_/inc')
+    })
+
+    it('state machine', function () {
+      assert.deepStrictEqual(composer.fromASL({ StartAt: 'C', States: { C: { Type: 'Choice', Choices: [{ Variable: '$.x', IsPresent: true, Next: 'E' }] }, E: { Type: 'Succeed' } } }).type, 'let')
+    })
+  })
+
+  describe('simulation', function () {
+    it('task', function () {
+      return invoke({ StartAt: 'A', States: { A: { Type: 'Task', Resource: 'inc', Next: 'B' }, B: { Type: 'Task', Resource: 'double', End: true } } }, { n: 1 })
+        .then(result => assert.deepStrictEqual(result, { n: 4 }))
+    })
+
+    it('data flow', function () {
+      return invoke(single({
+        Type: 'Task',
+        Resource: 'inc',
+        InputPath: '$.input',
+        Parameters: { 'n.$': '$.value', static: [{ 'x.$': '$.value' }] },
+        ResultSelector: { 'count.$': '$.n' },
+        ResultPath: '$.output.result',
+        OutputPath: '$.output'
+      }), { input: { value: 41 }, output: { other: true } })
+        .then(result => assert.deepStrictEqual(result, { other: true, result: { count: 42 } }))
+    })
+
+    it('discard result', function () {
+      return invoke(single({ Type: 'Task', Resource: 'inc', ResultPath: null }), { n: 1 })
+        .then(result => assert.deepStrictEqual(result, { n: 1 }))
+    })
+
+    it('pass', function () {
+      return invoke(single({ Type: 'Pass', Result: [1, 2], ResultPath: '$.list' }), { n: 1 })
+        .then(result => assert.deepStrictEqual(result, { n: 1, list: [1, 2] }))
+    })
+
+    it('non-dictionary output', function () {
+      return invoke(single({ Type: 'Pass', OutputPath: '$.n' }), { n: 1 })
+        .then(result => assert.deepStrictEqual(result, { value: 1 }))
+    })
+
+    it('invalid path', function () {
+      return invoke(single({ Type: 'Pass', InputPath: '$.missing' }), { n: 1 })
+        .then(result => assert.strictEqual(result.error.Error, 'States.Runtime'))
+    })
+
+    it('wait', function () {
+      return invoke({ StartAt: 'A', States: { A: { Type: 'Wait', Seconds: 0, Next: 'B' }, B: { Type: 'Wait', TimestampPath: '$.date', End: true } } }, { date: new Date().toISOString() })
+        .then(result => assert.ok(typeof result.date === 'string'))
+    })
+
+    it('succeed', function () {
+      return invoke({ StartAt: 'S', States: { S: { Type: 'Succeed', OutputPath: '$.n' } } }, { n: 1 })
+        .then(result => assert.deepStrictEqual(result, { value: 1 }))
+    })
+
+    it('fail', function () {
+      return invoke({ StartAt: 'A', States: { A: { Type: 'Pass', Next: 'F' }, F: { Type: 'Fail', Error: 'Oops', Cause: 'oops' } } })
+        .then(result => assert.deepStrictEqual(result, { error: { Error: 'Oops', Cause: 'oops' } }))
+    })
+
+    describe('choice', function () {
+      const definition = {
+        StartAt: 'C',
+        States: {
+          C: {
+            Type: 'Choice',
+            Choices: [
+              { Variable: '$.n', NumericLessThanPath: '$.max', Next: 'Loop' },
+              { And: [{ Variable: '$.name', StringMatches: 'log-*.txt' }, { Not: { Variable: '$.date', TimestampGreaterThan: '2020-01-01T00:00:00Z' } }], Next: 'Old' }
+            ],
+            Default: 'Done'
+          },
+          Loop: { Type: 'Task', Resource: 'inc', Parameters: { 'n.$': '$.n' }, ResultPath: '$.result', Next: 'Copy' },
+          Copy: { Type: 'Pass', Parameters: { 'n.$': '$.result.n', 'max.$': '$.max' }, Next: 'C' },
+          Old: { Type: 'Pass', Result: 'old', End: true },
+          Done: { Type: 'Succeed' }
+        }
+      }
+
+      it('loop', function () {
+        return invoke(definition, { n: 0, max: 3 })
+          .then(result => assert.deepStrictEqual(result, { n: 3, max: 3 }))
+      })
+
+      it('compound rule', function () {
+        return invoke(definition, { n: 3, max: 3, name: 'log-1.txt', date: '2019-05-01T00:00:00Z' })
+          .then(result => assert.deepStrictEqual(result, { value: 'old' }))
+      })
+
+      it('default', function () {
+        return invoke(definition, { n: 3, max: 3, name: 'log-1.txt', date: '2021-05-01T00:00:00Z' })
+          .then(result => assert.deepStrictEqual(result, { n: 3, max: 3, name: 'log-1.txt', date: '2021-05-01T00:00:00Z' }))
+      })
+
+      it('no match', function () {
+        return invoke({ StartAt: 'C', States: { C: { Type: 'Choice', Choices: [{ Variable: '$.x', BooleanEquals: true, Next: 'E' }] }, E: { Type: 'Succeed' } } }, { x: false })
+          .then(result => assert.strictEqual(result.error.Error, 'States.NoChoiceMatched'))
+      })
+    })
+
+    describe('errors', function () {
+      it('catch', function () {
+        return invoke({
+          StartAt: 'A',
+          States: {
+            A: { Type: 'Task', Resource: 'fail', Catch: [{ ErrorEquals: ['Other'], Next: 'B' }, { ErrorEquals: ['CustomError'], ResultPath: '$.failure', Next: 'C' }], End: true },
+            B: { Type: 'Pass', Result: 'B', End: true },
+            C: { Type: 'Pass', End: true }
+          }
+        }, { n: 1 }).then(result => assert.deepStrictEqual(result, { n: 1, failure: { Error: 'CustomError', Cause: 'failed' } }))
+      })
+
+      it('catch all', function () {
+        return invoke({
+          StartAt: 'A',
+          States: {
+            A: { Type: 'Task', Resource: 'crash', Catch: [{ ErrorEquals: ['States.ALL'], Next: 'B' }], End: true },
+            B: { Type: 'Pass', End: true }
+          }
+        }).then(result => assert.deepStrictEqual(result, { Error: 'States.TaskFailed', Cause: 'crashed' }))
+      })
+
+      it('uncaught', function () {
+        return invoke({
+          StartAt: 'A',
+          States: {
+            A: { Type: 'Task', Resource: 'crash', Catch: [{ ErrorEquals: ['CustomError'], Next: 'B' }], End: true },
+            B: { Type: 'Pass', End: true }
+          }
+        }).then(result => assert.deepStrictEqual(result, { error: 'crashed' }))
+      })
+
+      it('retry', function () {
+        this.timeout(5000)
+        let count = 0
+        const stubs = { flaky: () => ++count < 2 ? { error: { Error: 'Flaky' } } : { count } }
+        return invoke(single({ Type: 'Task', Resource: 'flaky', Retry: [{ ErrorEquals: ['Other'] }, { ErrorEquals: ['Flaky'], MaxAttempts: 1 }] }), {}, stubs)
+          .then(result => assert.deepStrictEqual(result, { count: 2 }))
+      })
+
+      it('retry exhausted', function () {
+        let count = 0
+        const stubs = { flaky: () => ({ error: { Error: 'Flaky', Cause: `${++count}` } }) }
+        return invoke(single({ Type: 'Task', Resource: 'flaky', Retry: [{ ErrorEquals: ['States.ALL'], MaxAttempts: 0 }] }), {}, stubs)
+          .then(result => assert.deepStrictEqual(result, { error: { Error: 'Flaky', Cause: '1' } }))
+      })
+    })
+
+    it('parallel', function () {
+      return invoke(single({
+        Type: 'Parallel',
+        Branches: [
+          { StartAt: 'A', States: { A: { Type: 'Task', Resource: 'inc', End: true } } },
+          { StartAt: 'B', States: { B: { Type: 'Task', Resource: 'double', End: true } } }
+        ],
+        ResultPath: '$.results'
+      }), { n: 3 }).then(result => assert.deepStrictEqual(result, { n: 3, results: [{ n: 4 }, { n: 6 }] }))
+    })
+
+    it('parallel failure', function () {
+      return invoke(single({
+        Type: 'Parallel',
+        Branches: [
+          { StartAt: 'A', States: { A: { Type: 'Task', Resource: 'inc', End: true } } },
+          { StartAt: 'B', States: { B: { Type: 'Task', Resource: 'fail', End: true } } }
+        ]
+      }), { n: 3 }).then(result => assert.deepStrictEqual(result, { error: { Error: 'CustomError', Cause: 'failed' } }))
+    })
+
+    it('map', function () {
+      return invoke(single({
+        Type: 'Map',
+        ItemsPath: '$.items',
+        MaxConcurrency: 2,
+        ItemProcessor: { ProcessorConfig: { Mode: 'INLINE' }, StartAt: 'A', States: { A: { Type: 'Task', Resource: 'double', End: true } } }
+      }), { items: [{ n: 1 }, { n: 2 }, { n: 3 }] }).then(result => assert.deepStrictEqual(result, { value: [{ n: 2 }, { n: 4 }, { n: 6 }] }))
+    })
+
+    it('map array input', function () {
+      return invoke(single({
+        Type: 'Map',
+        Iterator: { StartAt: 'A', States: { A: { Type: 'Pass', End: true } } }
+      }), { value: [1, 2] }).then(result => assert.deepStrictEqual(result, { value: [{ value: 1 }, { value: 2 }] }))
+    })
+  })
+
+  describe('export', function () {
+    // translate composition to states language and back, compare simulations
+    const roundtrip = (composition, params = { n: 0 }) => Promise.all([
+      composer.simulate(composition, params, { actions: exported }),
+      composer.simulate(composer.fromASL(composition.toASL()), params, { actions: exported })
+    ]).then(([expected, actual]) => assert.deepStrictEqual(actual, expected))
+
+    const exported = Object.assign({ small: ({ n }) => ({ value: n < 3 }), step: ({ n }) => ({ n: n + 1, value: n + 1 < 3 }) }, actions)
+
+    it('too many arguments', function () {
+      try {
+        composer.action('inc').toASL({}, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid option', function () {
+      try {
+        composer.action('inc').toASL({ foo: 'bar' })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option "foo" in "toASL"'))
+      }
+    })
+
+    it('invalid resource', function () {
+      try {
+        composer.action('inc').toASL({ resource: 42 })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option "resource" in "toASL"'))
+      }
+    })
+
+    it('unsupported function', function () {
+      try {
+        composer.seq('inc', params => params).toASL()
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Unsupported "function" combinator at composition[1] in "toASL"'), error.message)
+      }
+    })
+
+    it('unsupported action schema', function () {
+      try {
+        composer.seq('inc', composer.action('inc', { input: { required: ['n'] } })).toASL()
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Unsupported input or output schema of action at composition[1] in "toASL"'), error.message)
+      }
+    })
+
+    it('unsupported retry predicate', function () {
+      try {
+        composer.seq('inc', composer.retry({ count: 2, when: () => true }, 'inc')).toASL()
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Unsupported "when" option of "retry" combinator at composition[1] in "toASL"'), error.message)
+      }
+    })
+
+    it('unsupported transform function', function () {
+      try {
+        composer.seq('inc', composer.transform({ total: '$.items[*].price | sum' })).toASL()
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Unsupported function in expression "$.items[*].price | sum" of "transform" combinator at composition[1] in "toASL"'), error.message)
+      }
+    })
+
+    it('resource', function () {
+      assert.deepStrictEqual(composer.seq('inc', '/ns/pkg/double').toASL({ resource: 'arn:aws:lambda:us-east-1:123456789012:function:{namespace}-{name}' }), {
+        StartAt: 'inc',
+        States: {
+          inc: { Type: 'Task', Resource: 'arn:aws:lambda:us-east-1:123456789012:function:_-inc', Next: 'double' },
+          double: { Type: 'Task', Resource: 'arn:aws:lambda:us-east-1:123456789012:function:ns-pkg/double', End: true }
+        }
+      })
+    })
+
+    it('try', function () {
+      assert.deepStrictEqual(composer.try('fail', 'inc').toASL(), {
+        StartAt: 'try',
+        States: {
+          try: { Type: 'Task', Resource: '/_/fail', Catch: [{ ErrorEquals: ['States.ALL'], Next: 'catch' }], End: true },
+          catch: { Type: 'Pass', Parameters: { 'error.$': '$' }, Next: 'inc' },
+          inc: { Type: 'Task', Resource: '/_/inc', Next: 'raise' },
+          raise: { Type: 'Choice', Choices: [{ Variable: '$.error', IsPresent: true, Next: 'fail' }], Default: 'end' },
+          fail: { Type: 'Fail', ErrorPath: '$.error.Error', CausePath: '$.error.Cause' },
+          end: { Type: 'Pass', End: true }
+        }
+      })
+    })
+
+    it('finally', function () {
+      const { States } = composer.finally(composer.seq('inc', 'fail'), 'inc').toASL()
+      assert.deepStrictEqual(States.finally.Branches[0].States.fail, { Type: 'Task', Resource: '/_/fail', End: true })
+      assert.strictEqual(States.finally.OutputPath, '$[0]')
+      assert.strictEqual(States.finally.Next, 'inc')
+      assert.strictEqual(States.finally.Catch[0].Next, 'catch')
+    })
+
+    it('sequence', function () {
+      return roundtrip(composer.seq('inc', composer.literal({ n: 5 }), 'double'))
+    })
+
+    it('if', function () {
+      return Promise.all([roundtrip(composer.if('small', 'inc', 'double')), roundtrip(composer.if('small', 'inc'), { n: 5 })])
+    })
+
+    it('if_nosave', function () {
+      return roundtrip(composer.if_nosave('small', composer.literal({ n: 1 }), composer.literal({ n: 2 })))
+    })
+
+    it('while', function () {
+      return roundtrip(composer.while(composer.seq('inc', 'small'), composer.seq('inc', 'inc')))
+    })
+
+    it('dowhile', function () {
+      return roundtrip(composer.dowhile('inc', 'small'))
+    })
+
+    it('while_nosave', function () {
+      return roundtrip(composer.while_nosave(composer.empty(), 'step'), { n: 0, value: true })
+    })
+
+    it('dowhile_nosave', function () {
+      return roundtrip(composer.dowhile_nosave('step', composer.empty()))
+    })
+
+    it('retain', function () {
+      return roundtrip(composer.retain('inc', 'double'))
+    })
+
+    it('parallel', function () {
+      return roundtrip(composer.par('inc', composer.seq('inc', 'double')), { n: 1 })
+    })
+
+    it('map', function () {
+      return roundtrip(composer.map({ concurrency: 2 }, 'inc'), { value: [{ n: 1 }, { n: 2 }] })
+    })
+
+    it('retry', function () {
+      return roundtrip(composer.retry(2, 'inc'))
+    })
+
+    it('sleep', function () {
+      return roundtrip(composer.seq(composer.sleep(0), 'inc'))
+    })
+
+    it('transform', function () {
+      const composition = composer.transform({ n: '$.n', a: '$.items[*]', b: { c: '$["n"]', d: [1, 'e'] }, f: null })
+      assert.deepStrictEqual(composition.toASL().States.transform.Parameters, { 'n.$': '$.n', 'a.$': '$.items[*]', b: { 'c.$': '$[\'n\']', d: [1, 'e'] }, f: null })
+      assert.deepStrictEqual(composer.transform({ a: { $literal: '$.n' }, b: [{ $literal: '$' }] }).toASL().States.transform.Parameters, { a: '$.n', b: ['$'] })
+      return roundtrip(composer.seq(composer.transform({ n: '$.n', m: { k: '$.items[1]' }, s: 'const', l: { $literal: '$' } }), 'inc'), { n: 1, items: [2, 3] })
+    })
+  })
+})
@@ -21,6 +21,9 @@
 
 const assert = require('assert')
 const composer = require('../composer')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 
 function check (combinator, n, p, name) {
   if (n === undefined) {
@@ -127,6 +130,41 @@ describe('composer', function () {
         assert.ok(error.message.startsWith('Invalid argument'))
       }
     })
+
+    it('default parameters', function () {
+      const composition = composer.action('foo', { action: 'const main = params => params', parameters: { url: 'http://localhost', retries: 3 } })
+      assert.deepStrictEqual(composition.action.parameters, [{ key: 'url', value: 'http://localhost' }, { key: 'retries', value: 3 }])
+      try {
+        composer.action('foo', { action: 'const main = params => params', parameters: [] })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument "parameters"'))
+      }
+      try {
+        composer.action('foo', { parameters: { url: 'http://localhost' } })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Cannot bind parameters without action definition'))
+      }
+    })
+
+    it('input and output schemas', function () {
+      const composition = composer.action('foo', { input: { required: ['n'] }, output: { type: 'object' } })
+      assert.deepStrictEqual(composition.input, { required: ['n'] })
+      assert.deepStrictEqual(composition.output, { type: 'object' })
+      try {
+        composer.action('foo', { input: 42 })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument "input"'))
+      }
+      try {
+        composer.action('foo', { output: { properties: { n: { $ref: '#' } } } })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid output schema at $.properties["n"]'))
+      }
+    })
   })
 
   describe('composer.function', function () {
@@ -243,6 +281,51 @@ describe('composer', function () {
         }]
       }).type === 'sequence')
     })
+
+    it('invalid field', function () {
+      try {
+        composer.parse({ 'type': 'sequence', 'components': [{ 'type': 'action', 'name': 'echo', 'foo': 42 }] })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid composition at $.components[0] in "parse" combinator: should not have field "foo"'))
+      }
+    })
+
+    it('missing field', function () {
+      try {
+        composer.parse({ 'type': 'if_nosave', 'test': { 'type': 'action', 'name': 'echo' } })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid composition at $ in "parse" combinator: should have field "consequent"'))
+      }
+    })
+
+    it('invalid field type', function () {
+      try {
+        composer.parse({ 'type': 'let', 'declarations': { 'x': 42 }, 'components': [{ 'type': 'action', 'name': 42 }] })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid composition at $.components[0].name in "parse" combinator: should be string'))
+      }
+    })
+
+    it('unknown combinator type', function () {
+      try {
+        composer.parse({ 'type': 'sequence', 'components': [{ 'type': 'foo' }] })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid composition at $.components[0].type in "parse" combinator: unknown combinator type "foo"'))
+      }
+    })
+
+    it('non-primitive combinator type', function () {
+      try {
+        composer.parse({ 'type': 'try', 'body': { 'type': 'action', 'name': 'echo' }, 'handler': { 'type': 'retain', 'components': [] } })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid composition type at $.handler in "parse" combinator'))
+      }
+    })
   })
 
   describe('composer.task', function () {
@@ -349,6 +432,122 @@ describe('composer', function () {
     it('combinator type', function () {
       assert.ok(composer.retry(42).type === 'retry')
     })
+
+    it('options', function () {
+      const composition = composer.retry({ count: 3, delay: 100, factor: 3, maxDelay: 1000, jitter: 0.5, when: ({ error }) => error !== 'fatal' }, 'foo')
+      assert.deepStrictEqual(composition.count, 3)
+      assert.deepStrictEqual(composition.delay, 100)
+      assert.ok(typeof composition.when === 'string')
+      assert.ok(composition.components.length === 1)
+    })
+
+    it('missing count option', function () {
+      try {
+        composer.retry({ delay: 100 })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid option', function () {
+      try {
+        composer.retry({ count: 3, delays: 100 })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option'))
+      }
+    })
+
+    it('invalid jitter', function () {
+      try {
+        composer.retry({ count: 3, jitter: 2 })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid detach', function () {
+      try {
+        composer.retry({ count: 3, delay: 100, detach: 'yes' }, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument "detach"'))
+      }
+    })
+  })
+
+  describe('composer.timeout', function () {
+    it('variable argument count', function () {
+      composer.timeout(42)
+      composer.timeout(42, 'foo')
+      composer.timeout(42, 'foo', 'foo')
+    })
+
+    it('too few arguments', function () {
+      try {
+        composer.timeout()
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('combinator type', function () {
+      assert.ok(composer.timeout(42).type === 'timeout')
+    })
+  })
+
+  describe('composer.breaker', function () {
+    const options = { key: 'foo', failures: 3, resetAfter: 1000 }
+
+    it('argument count', function () {
+      composer.breaker(options, 'foo')
+      composer.breaker(options, 'foo', 'foo')
+    })
+
+    it('too many arguments', function () {
+      try {
+        composer.breaker(options, 'foo', 'foo', 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('too few arguments', function () {
+      try {
+        composer.breaker(options)
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid option', function () {
+      try {
+        composer.breaker(Object.assign({ threshold: 3 }, options), 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option'))
+      }
+    })
+
+    it('invalid options', function () {
+      for (let invalid of [{ key: '' }, { failures: 0 }, { failures: 1.5 }, { resetAfter: -1 }]) {
+        try {
+          composer.breaker(Object.assign({}, options, invalid), 'foo')
+          assert.fail()
+        } catch (error) {
+          assert.ok(error.message.startsWith('Invalid argument'))
+        }
+      }
+    })
+
+    it('combinator type', function () {
+      assert.ok(composer.breaker(options, 'foo').type === 'breaker')
+    })
   })
 
   describe('composer.if', function () {
@@ -359,6 +558,55 @@ describe('composer', function () {
     check('if_nosave', 2, 3)
   })
 
+  describe('composer.switch', function () {
+    it('argument count', function () {
+      composer.switch('foo', {})
+      composer.switch('foo', { bar: 'foo' }, 'foo')
+    })
+
+    it('too many arguments', function () {
+      try {
+        composer.switch('foo', {}, 'foo', 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('too few arguments', function () {
+      try {
+        composer.switch('foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid case', function () {
+      try {
+        composer.switch('foo', { bar: 42 })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('combinator type', function () {
+      assert.ok(composer.switch('foo', {}).type === 'switch')
+    })
+
+    it('parse', function () {
+      const composition = composer.switch_nosave('foo', { bar: 'bar' }, 'baz')
+      assert.deepStrictEqual(JSON.stringify(composer.parse(JSON.parse(JSON.stringify(composition)))), JSON.stringify(composition))
+    })
+  })
+
+  describe('composer.switch_nosave', function () {
+    it('combinator type', function () {
+      assert.ok(composer.switch_nosave('foo', {}).type === 'switch_nosave')
+    })
+  })
+
   describe('composer.while', function () {
     check('while', 2)
   })
@@ -395,6 +643,37 @@ describe('composer', function () {
     check('async')
   })
 
+  describe('composer.saga', function () {
+    it('argument count', function () {
+      composer.saga([])
+      composer.saga([{ do: 'foo', undo: 'bar' }, { do: 'foo' }])
+    })
+
+    it('too many arguments', function () {
+      try {
+        composer.saga([], 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid steps', function () {
+      for (let steps of [undefined, 'foo', [{ undo: 'foo' }], [{ do: 'foo', redo: 'foo' }], [{ do: 42 }]]) {
+        try {
+          composer.saga(steps)
+          assert.fail()
+        } catch (error) {
+          assert.ok(error.message.startsWith('Invalid argument'))
+        }
+      }
+    })
+
+    it('combinator type', function () {
+      assert.ok(composer.saga([]).type === 'saga')
+    })
+  })
+
   describe('composer.retain', function () {
     check('retain')
   })
@@ -423,11 +702,504 @@ describe('composer', function () {
     check('par')
   })
 
+  describe('composer.race', function () {
+    check('race')
+  })
+
+  describe('composer.any', function () {
+    check('any')
+  })
+
   describe('composer.map', function () {
     check('map')
+
+    it('options', function () {
+      const composition = composer.map({ concurrency: 2 }, 'foo', 'bar')
+      assert.ok(composition.concurrency === 2)
+      assert.ok(composition.components.length === 2)
+    })
+
+    it('invalid option', function () {
+      try {
+        composer.map({ limit: 2 }, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option'))
+      }
+    })
+
+    it('invalid concurrency', function () {
+      try {
+        composer.map({ concurrency: 0 }, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
   })
 
   describe('composer.dynamic', function () {
     check('dynamic', 0)
   })
+
+  describe('composer.delay', function () {
+    it('argument count', function () {
+      composer.delay()
+      composer.delay(true)
+      composer.delay(true, true)
+    })
+
+    it('too many arguments', function () {
+      try {
+        composer.delay(true, true, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid argument', function () {
+      try {
+        composer.delay('foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid until', function () {
+      try {
+        composer.delay(true, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument "until"'))
+      }
+    })
+
+    it('combinator type', function () {
+      assert.ok(composer.delay().type === 'delay')
+    })
+  })
+
+  describe('composer.validate', function () {
+    it('argument count', function () {
+      composer.validate({ type: 'object' })
+    })
+
+    it('too many arguments', function () {
+      try {
+        composer.validate({}, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid argument', function () {
+      try {
+        composer.validate('foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid schema', function () {
+      try {
+        composer.validate({ type: 42 })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid schema at $.type'))
+      }
+    })
+
+    it('unsupported keyword', function () {
+      try {
+        composer.validate({ properties: { n: { if: { type: 'number' } } } })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid schema at $.properties["n"] in "validate" combinator: unsupported keyword "if"'))
+      }
+    })
+
+    it('combinator type', function () {
+      assert.ok(composer.validate({}).type === 'validate')
+    })
+
+    it('parse', function () {
+      const composition = composer.validate({ type: 'object' })
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(composer.parse(JSON.parse(JSON.stringify(composition))))), { type: 'validate', schema: { type: 'object' } })
+    })
+  })
+
+  describe('composer.transform', function () {
+    it('argument count', function () {
+      composer.transform({ id: '$.order.id' })
+    })
+
+    it('too many arguments', function () {
+      try {
+        composer.transform({}, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid argument', function () {
+      try {
+        composer.transform('$.order.id')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid expression', function () {
+      try {
+        composer.transform({ order: { total: '$.items[*].price | total' } })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid expression at $.order.total in "transform" combinator: Unknown function "total"'))
+      }
+    })
+
+    it('combinator type', function () {
+      assert.ok(composer.transform({}).type === 'transform')
+    })
+  })
+
+  describe('composer.sleep', function () {
+    it('argument count', function () {
+      composer.sleep(42)
+    })
+
+    it('too many arguments', function () {
+      try {
+        composer.sleep(42, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('too few arguments', function () {
+      try {
+        composer.sleep()
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('combinator type', function () {
+      assert.ok(composer.sleep(42).type === 'sleep')
+    })
+  })
+
+  describe('composer.sleepUntil', function () {
+    check('sleepUntil', 1)
+  })
+
+  describe('composer.include', function () {
+    it('argument count', function () {
+      composer.include('foo')
+      composer.include('foo', { inline: true })
+    })
+
+    it('too many arguments', function () {
+      try {
+        composer.include('foo', {}, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid argument', function () {
+      try {
+        composer.include(42)
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid option', function () {
+      try {
+        composer.include('foo', { lazy: true })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option'))
+      }
+    })
+
+    it('invalid dirname', function () {
+      try {
+        composer.include('foo.js', { dirname: 42 })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument "dirname"'))
+      }
+    })
+
+    it('deployed composition', function () {
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(composer.include('foo'))), { type: 'action', name: '/_/foo' })
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(composer.include('/ns/pkg/foo', { inline: true }))), { type: 'include', name: '/ns/pkg/foo' })
+    })
+
+    it('compiled composition file', function () {
+      const composition = composer.include('../samples/demo.json')
+      assert.ok(composition.type === 'if')
+      assert.ok(composition.test.action.exec.code.indexOf('abc123') >= 0)
+    })
+
+    it('dirname', function () {
+      assert.ok(composer.include('samples/demo.json', { dirname: path.join(__dirname, '..') }).type === 'if')
+    })
+
+    it('nested file includes', function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'include-'))
+      fs.mkdirSync(path.join(dir, 'lib'))
+      fs.writeFileSync(path.join(dir, 'main.js'), `module.exports = require(${JSON.stringify(require.resolve('../composer'))}).include('./lib/billing.yaml')\n`)
+      fs.writeFileSync(path.join(dir, 'lib', 'billing.yaml'), '[foo, include: tax.yaml]\n')
+      fs.writeFileSync(path.join(dir, 'lib', 'tax.yaml'), 'bar\n')
+      const composition = composer.include(path.join(dir, 'main.js'))
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(composition)), JSON.parse(JSON.stringify(composer.sequence('foo', 'bar'))))
+    })
+
+    it('unresolved include', function () {
+      const composition = composer.include('foo', { inline: true }).compile().composition
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(composition)), { type: 'action', name: '/_/foo', path: '' })
+    })
+
+    it('resolve', function () {
+      const deployed = { '/_/foo': composer.seq('bar', composer.include('baz', { inline: true })), '/_/baz': { type: 'action', name: '/_/qux' } }
+      return composer.seq(composer.include('foo', { inline: true })).resolve(name => deployed[name]).then(composition => {
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(composition.lower())), JSON.parse(JSON.stringify(composer.seq(composer.seq('bar', 'qux')).lower())))
+      })
+    })
+
+    it('cyclic include', function () {
+      const deployed = { '/_/foo': composer.include('bar', { inline: true }), '/_/bar': composer.include('foo', { inline: true }) }
+      return composer.include('foo', { inline: true }).resolve(name => deployed[name]).then(() => assert.fail(), error => {
+        assert.ok(error.message.startsWith('Cyclic include of "/_/foo" in "resolve"'))
+      })
+    })
+
+    it('combinator type', function () {
+      assert.ok(composer.include('foo', { inline: true }).type === 'include')
+    })
+  })
+
+  describe('composer.util.register', function () {
+    const lib = composer.util.register({ twice: { args: [{ name: 'body' }], def: body => composer.seq(body, body) } }, 'register')
+
+    it('too many arguments', function () {
+      try {
+        composer.util.register({}, 'foo', 'bar')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid argument', function () {
+      try {
+        composer.util.register('foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('redefine combinator', function () {
+      try {
+        composer.util.register({ if: {} })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Cannot redefine "if" combinator'))
+      }
+    })
+
+    it('redefine registered combinator', function () {
+      try {
+        composer.util.register({ twice: { args: [{ name: 'body' }], def: body => body } }, 'register')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Cannot redefine "register.twice" combinator'))
+      }
+      assert.deepStrictEqual(JSON.stringify(lib.twice('foo').lower()), JSON.stringify(composer.seq('foo', 'foo').lower()))
+    })
+
+    it('register again', function () {
+      const combinators = { thrice: { args: [{ name: 'body' }], def: body => composer.seq(body, body, body) } }
+      composer.util.register(combinators, 'register')
+      assert.ok(composer.util.register(combinators, 'register').thrice('foo').type === 'register.thrice')
+    })
+
+    it('missing lowering function', function () {
+      try {
+        composer.util.register({ foo: { args: [{ name: 'body' }] } }, 'register')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Missing "def" lowering function in "register.foo" combinator'))
+      }
+    })
+
+    it('combinator type', function () {
+      assert.ok(lib.twice('foo').type === 'register.twice')
+    })
+
+    it('parse', function () {
+      const composition = composer.parse(JSON.parse(JSON.stringify(composer.sequence(lib.twice('foo')))))
+      assert.ok(composition.components[0].type === 'register.twice')
+      assert.deepStrictEqual(JSON.stringify(composition.lower()), JSON.stringify(composer.sequence(composer.seq('foo', 'foo')).lower()))
+    })
+  })
+
+  describe('source locations', function () {
+    const locate = f => {
+      composer.util.locations = true
+      try {
+        return f()
+      } finally {
+        composer.util.locations = false
+      }
+    }
+
+    it('disabled', function () {
+      assert.strictEqual(composer.action('foo').location, undefined)
+    })
+
+    it('combinator call', function () {
+      const composition = locate(() => composer.seq(composer.action('foo')))
+      assert.ok(/^composer\.js:\d+:\d+$/.test(composition.location))
+      assert.notStrictEqual(composition.components[0].location, composition.location)
+    })
+
+    it('base directory', function () {
+      composer.util.locations = path.dirname(__dirname)
+      try {
+        assert.ok(/^test\/composer\.js:\d+:\d+$/.test(composer.action('foo').location))
+      } finally {
+        composer.util.locations = false
+      }
+    })
+
+    it('inline tasks', function () {
+      const name = 'baz'
+      const composition = locate(() => composer.seq(
+        'foo',
+        () => ({}), // 'bar'
+        name,
+        'foo'))
+      const [file, line] = composition.location.split(':')
+      assert.deepStrictEqual(composition.components.map(({ location }) => location),
+        [`${file}:${+line + 1}:9`, `${file}:${+line + 2}:9`, composition.location, `${file}:${+line + 4}:9`])
+    })
+
+    it('lowering', function () {
+      const composition = locate(() => composer.if('foo', 'bar')).compile().composition
+      assert.ok(composition.location.startsWith('composer.js:'))
+      assert.strictEqual(composition.components[0].location, undefined)
+      assert.ok(composition.components[0].finalizer.test.location.startsWith('composer.js:'))
+    })
+
+    it('parse', function () {
+      const composition = locate(() => composer.parse({ type: 'action', name: 'foo' }))
+      assert.strictEqual(composition.location, undefined)
+    })
+  })
+
+  describe('compile', function () {
+    let x, y // dummy variables
+
+    // lowered and optimized composition without paths
+    const compile = (composition, options) => JSON.parse(JSON.stringify(composition.compile(options).composition, (key, value) => key === 'path' ? undefined : value))
+
+    it('too many arguments', function () {
+      try {
+        composer.action('foo').compile({}, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid options', function () {
+      try {
+        composer.action('foo').compile(false)
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid option', function () {
+      try {
+        composer.action('foo').compile({ foo: true })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option "foo"'))
+      }
+    })
+
+    it('flatten sequences', function () {
+      assert.deepStrictEqual(compile(composer.seq('foo', composer.seq(composer.seq('bar'), composer.empty()), 'baz')), {
+        type: 'sequence',
+        components: [{ type: 'action', name: '/_/foo' }, { type: 'action', name: '/_/bar' }, { type: 'action', name: '/_/baz' }]
+      })
+    })
+
+    it('drop masks', function () {
+      const composition = compile(composer.if('foo', 'bar', 'baz'))
+      assert.deepStrictEqual(composition.components[0].finalizer.test, { type: 'action', name: '/_/foo' })
+      assert.deepStrictEqual(composition.components[0].finalizer.consequent.finalizer, { type: 'action', name: '/_/bar' })
+    })
+
+    it('drop let', function () {
+      assert.deepStrictEqual(compile(composer.let({ x }, 'foo')), { type: 'sequence', components: [{ type: 'action', name: '/_/foo' }] })
+    })
+
+    it('cancel let and mask', function () {
+      assert.deepStrictEqual(compile(composer.let({ x }, composer.mask(() => x))), {
+        type: 'sequence',
+        components: [{ type: 'function', function: { exec: { kind: 'nodejs:default', code: '() => x' } } }]
+      })
+    })
+
+    it('merge let frames', function () {
+      assert.deepStrictEqual(compile(composer.let({ x: 1, y: 1 }, composer.let({ y: 2 }, () => x + y))), {
+        type: 'let',
+        declarations: { x: 1, y: 2 },
+        components: [{ type: 'function', function: { exec: { kind: 'nodejs:default', code: '() => x + y' } } }]
+      })
+    })
+
+    it('do not merge let frames around mask', function () {
+      const composition = compile(composer.let({ x: 1 }, composer.let({ y: 2 }, () => y, composer.mask(() => x))))
+      assert.deepStrictEqual(composition.declarations, { x: 1 })
+      assert.deepStrictEqual(composition.components[0].declarations, { y: 2 })
+    })
+
+    it('fuse functions', function () {
+      const composition = compile(composer.seq(() => ({ x: 1 }), ({ x }) => ({ y: x }), 'foo'))
+      assert.strictEqual(composition.components.length, 2)
+      assert.strictEqual(composition.components[0].type, 'function')
+      assert.deepStrictEqual(composer.seq(() => ({ x: 1 }), ({ x }) => ({ y: x }), 'foo').compile().composition.components[0].fused, [{ path: '[0]' }, { path: '[1]' }])
+    })
+
+    it('do not fuse functions reading let variables', function () {
+      const composition = compile(composer.let({ x: 1 }, () => ({}), () => ({ x })))
+      assert.strictEqual(composition.components.length, 2)
+    })
+
+    it('opt out', function () {
+      assert.deepStrictEqual(compile(composer.seq(composer.seq('foo')), { optimize: false }), {
+        type: 'sequence',
+        components: [{ type: 'sequence', components: [{ type: 'action', name: '/_/foo' }] }]
+      })
+    })
+  })
 })
@@ -40,7 +40,7 @@ if (process.env.REDIS && process.env.REDIS_CA) redis.ca = process.env.REDIS_CA
 const openwhisk = process.env.__OW_IGNORE_CERTS ? { ignore_certs: true } : {}
 
 describe('composer', function () {
-  let n, x, y // dummy variables
+  let n, x, y, results // dummy variables
 
   this.timeout(60000)
 
@@ -336,6 +336,109 @@ describe('composer', function () {
           return invoke(composer.map('TripleAndIncrement', 'DivideByTwo'), { value: [{ n: 3 }, { n: 5 }, { n: 7 }], $composer: { redis, openwhisk } })
             .then(activation => assert.deepStrictEqual(activation.response.result, { value: [{ n: 5 }, { n: 8 }, { n: 11 }] }))
         })
+
+        test('map with concurrency', function () {
+          return invoke(composer.map({ concurrency: 2 }, 'TripleAndIncrement', 'DivideByTwo'), { value: [{ n: 3 }, { n: 5 }, { n: 7 }, { n: 9 }], $composer: { redis, openwhisk } })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { value: [{ n: 5 }, { n: 8 }, { n: 11 }, { n: 14 }] }))
+        })
+
+        test('race', function () {
+          return invoke(composer.race(composer.seq('TripleAndIncrement', 'DivideByTwo', 'DivideByTwo'), 'DivideByTwo'), { n: 42, $composer: { redis, openwhisk } })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { n: 21 }))
+        })
+
+        test('any', function () {
+          return invoke(composer.any(() => ({ error: 'foo' }), composer.seq('TripleAndIncrement', 'DivideByTwo')), { n: 42, $composer: { redis, openwhisk } })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { n: 63.5 }))
+        })
+
+        test('any with all errors', function () {
+          return invoke(composer.any(() => ({ error: 'foo' }), () => ({ error: 'bar' })), { $composer: { redis, openwhisk } })
+            .then(() => assert.fail(), activation => assert.ok(['foo', 'bar'].includes(activation.error.response.result.error)))
+        })
+      })
+
+      describe('breaker', function () {
+        const test = redis ? it : it.skip
+        const key = `test-${Date.now()}`
+        const composition = composer.let({ results: [] },
+          composer.repeat(3, composer.try(composer.breaker({ key, failures: 2, resetAfter: 60000 }, () => ({ error: 'down' }), () => ({ fallback: true })), ({ error }) => ({ caught: error })), result => { results.push(result) }),
+          () => ({ results }))
+
+        test('breaker', function () {
+          return invoke(composition, { $composer: { redis } })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { results: [{ caught: 'down' }, { caught: 'down' }, { fallback: true }] }))
+        })
+
+        test('shared state', function () {
+          return invoke(composition, { $composer: { redis } })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { results: [{ fallback: true }, { fallback: true }, { fallback: true }] }))
+        })
+      })
+
+      describe('saga', function () {
+        it('success', function () {
+          return invoke(composer.saga([{ do: 'TripleAndIncrement', undo: () => ({ error: 'undo' }) }, { do: 'DivideByTwo' }]), { n: 3 })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { n: 5 }))
+        })
+
+        it('compensation', function () {
+          return invoke(composer.let({ x: 0 }, composer.try(
+            composer.saga([{ do: 'TripleAndIncrement', undo: () => { x++ } }, { do: 'DivideByTwo', undo: () => { x += 10 } }, { do: () => ({ error: 'foo' }) }]),
+            () => ({ x }))), { n: 3 })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { x: 11 }))
+        })
+
+        it('invalid argument', function () {
+          try {
+            invoke(composer.saga([{ undo: 'foo' }]))
+            assert.fail()
+          } catch (error) {
+            assert.ok(error.message.startsWith('Invalid argument'))
+          }
+        })
+      })
+
+      describe('sleep', function () {
+        it('sleep', function () {
+          return invoke(composer.seq(composer.sleep(100), 'DivideByTwo'), { n: 42 })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { n: 21 }))
+        })
+
+        it('sleepUntil', function () {
+          return invoke(composer.sleepUntil(() => Date.now() + 100), { n: 42 })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { n: 42 }))
+        })
+
+        it('invalid argument', function () {
+          try {
+            invoke(composer.sleep('foo'))
+            assert.fail()
+          } catch (error) {
+            assert.ok(error.message.startsWith('Invalid argument'))
+          }
+        })
+      })
+
+      describe('switch', function () {
+        it('matching case', function () {
+          return invoke(composer.switch(({ n }) => n % 3, { 0: 'DivideByTwo', 1: 'TripleAndIncrement' }, 'echo'), { n: 7 })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { n: 22 }))
+        })
+
+        it('default case', function () {
+          return invoke(composer.switch(({ n }) => n % 3, { 0: 'DivideByTwo', 1: 'TripleAndIncrement' }, () => ({ value: 'default' })), { n: 8 })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { value: 'default' }))
+        })
+
+        it('invalid argument', function () {
+          try {
+            invoke(composer.switch('isEven', 42))
+            assert.fail()
+          } catch (error) {
+            assert.ok(error.message.startsWith('Invalid argument'))
+          }
+        })
       })
 
       describe('if', function () {
@@ -605,6 +708,27 @@ describe('composer', function () {
         })
       })
 
+      describe('timeout', function () {
+        it('no timeout', function () {
+          return invoke(composer.timeout(60000, 'DivideByTwo'), { n: 42 })
+            .then(activation => assert.deepStrictEqual(activation.response.result, { n: 21 }))
+        })
+
+        it('timeout', function () {
+          return invoke(composer.timeout(0, 'DivideByTwo'), { n: 42 })
+            .then(() => assert.fail(), activation => assert.deepStrictEqual(activation.error.response.result, { error: 'timeout' }))
+        })
+
+        it('invalid argument', function () {
+          try {
+            invoke(composer.timeout('foo'))
+            assert.fail()
+          } catch (error) {
+            assert.ok(error.message.startsWith('Invalid argument'))
+          }
+        })
+      })
+
       describe('retry', function () {
         it('success', function () {
           return invoke(composer.let({ x: 2 }, composer.retry(2, () => x-- > 0 ? { error: 'foo' } : 42)))
@@ -616,6 +740,16 @@ describe('composer', function () {
             .then(() => assert.fail(), activation => assert.deepStrictEqual(activation.error.response.result.error, 'foo'))
         })
 
+        it('backoff', function () {
+          return invoke(composer.let({ x: 2 }, composer.retry({ count: 2, delay: 100 }, () => x-- > 0 ? { error: 'foo' } : 42)))
+            .then(activation => assert.deepStrictEqual(activation.response.result, { value: 42 }))
+        })
+
+        it('predicate', function () {
+          return invoke(composer.let({ x: 2 }, composer.retry({ count: 2, when: ({ error }) => error !== 'bar' }, () => x-- > 0 ? { error: 'bar' } : 42)))
+            .then(() => assert.fail(), activation => assert.deepStrictEqual(activation.error.response.result.error, 'bar'))
+        })
+
         it('invalid argument', function () {
           try {
             invoke(composer.retry('foo'))
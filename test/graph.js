@@ -0,0 +1,188 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict'
+
+const assert = require('assert')
+const composer = require('../composer')
+
+// find node by label prefix
+const find = (graph, label) => graph.nodes.find(node => node.label.startsWith(label))
+
+// list edges between nodes with label prefixes
+const between = (graph, from, to) => graph.edges.filter(edge => edge.from === find(graph, from).id && edge.to === find(graph, to).id)
+
+describe('graph', function () {
+  describe('arguments', function () {
+    it('too many arguments', function () {
+      try {
+        composer.action('foo').toGraph({}, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid options', function () {
+      try {
+        composer.action('foo').toGraph('dot')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid option', function () {
+      try {
+        composer.action('foo').toGraph({ foo: 42 })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option "foo"'))
+      }
+    })
+
+    it('invalid format', function () {
+      try {
+        composer.action('foo').toGraph({ format: 'svg' })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option "format"'))
+      }
+    })
+  })
+
+  describe('structure', function () {
+    it('action', function () {
+      const graph = composer.action('foo').toGraph()
+      assert.deepStrictEqual(graph.nodes.map(node => node.label), ['start', 'action\n/_/foo', 'end'])
+      assert.deepStrictEqual(graph.edges, [{ from: 'n0', to: 'n1', kind: 'flow' }, { from: 'n1', to: 'n2', kind: 'flow' }])
+    })
+
+    it('empty', function () {
+      const graph = composer.seq().toGraph()
+      assert.deepStrictEqual(graph.nodes.map(node => node.label), ['start', 'end'])
+      assert.deepStrictEqual(graph.edges, [{ from: 'n0', to: 'n1', kind: 'flow' }])
+    })
+
+    it('paths', function () {
+      const graph = composer.seq('foo', composer.if('bar', 'baz')).toGraph()
+      assert.deepStrictEqual(graph.nodes.map(node => node.path), [undefined, '[0]', '[1].test', '[1]', '[1].consequent', undefined])
+      assert.strictEqual(find(graph, 'if').label, 'if\n[1]')
+    })
+
+    it('if', function () {
+      const graph = composer.if('foo', 'bar', 'baz').toGraph()
+      assert.strictEqual(find(graph, 'if').shape, 'diamond')
+      assert.deepStrictEqual(between(graph, 'action\n/_/foo', 'if'), [{ from: 'n1', to: 'n2', kind: 'flow' }])
+      assert.strictEqual(between(graph, 'if', 'action\n/_/bar')[0].label, 'then')
+      assert.strictEqual(between(graph, 'if', 'action\n/_/baz')[0].label, 'else')
+      assert.strictEqual(between(graph, 'action\n/_/bar', 'end').length, 1)
+      assert.strictEqual(between(graph, 'action\n/_/baz', 'end').length, 1)
+    })
+
+    it('if without alternate', function () {
+      const graph = composer.if('foo', 'bar').toGraph()
+      assert.deepStrictEqual(between(graph, 'if', 'end'), [{ from: 'n2', to: 'n4', kind: 'flow', label: 'else' }])
+    })
+
+    it('while', function () {
+      const graph = composer.while('foo', 'bar').toGraph()
+      assert.strictEqual(between(graph, 'action\n/_/bar', 'action\n/_/foo')[0].kind, 'loop')
+      assert.strictEqual(between(graph, 'while', 'end')[0].label, 'else')
+    })
+
+    it('dowhile', function () {
+      const graph = composer.dowhile('foo', 'bar').toGraph()
+      assert.deepStrictEqual(between(graph, 'dowhile', 'action\n/_/foo'), [{ from: 'n3', to: 'n1', kind: 'loop', label: 'then' }])
+      assert.strictEqual(between(graph, 'start', 'action\n/_/foo').length, 1)
+    })
+
+    it('switch', function () {
+      const graph = composer.switch('foo', { a: 'bar', b: 'baz' }).toGraph()
+      assert.deepStrictEqual(graph.edges.filter(edge => edge.from === find(graph, 'switch').id).map(edge => edge.label), ['a', 'b', 'default'])
+    })
+
+    it('try', function () {
+      const graph = composer.try('foo', 'bar').toGraph()
+      assert.strictEqual(between(graph, 'try', 'action\n/_/foo')[0].kind, 'flow')
+      assert.deepStrictEqual(between(graph, 'try', 'action\n/_/bar'), [{ from: 'n1', to: 'n3', kind: 'catch', label: 'catch' }])
+      assert.strictEqual(between(graph, 'action\n/_/bar', 'end').length, 1)
+    })
+
+    it('finally', function () {
+      const graph = composer.finally('foo', 'bar').toGraph()
+      assert.strictEqual(between(graph, 'action\n/_/foo', 'action\n/_/bar')[0].kind, 'flow')
+      assert.strictEqual(between(graph, 'finally', 'action\n/_/bar')[0].kind, 'catch')
+    })
+
+    it('parallel', function () {
+      const graph = composer.parallel('foo', 'bar').toGraph()
+      assert.strictEqual(find(graph, 'parallel').shape, 'fork')
+      assert.strictEqual(find(graph, 'join').shape, 'join')
+      assert.strictEqual(between(graph, 'parallel', 'action\n/_/foo')[0].kind, 'fork')
+      assert.strictEqual(between(graph, 'parallel', 'action\n/_/bar')[0].kind, 'fork')
+      assert.strictEqual(between(graph, 'action\n/_/foo', 'join')[0].kind, 'join')
+      assert.strictEqual(between(graph, 'action\n/_/bar', 'join')[0].kind, 'join')
+      assert.strictEqual(between(graph, 'join', 'end').length, 1)
+    })
+
+    it('map', function () {
+      const graph = composer.map('foo', 'bar').toGraph()
+      assert.deepStrictEqual(between(graph, 'map', 'action\n/_/foo'), [{ from: 'n1', to: 'n3', kind: 'fork', label: 'each' }])
+      assert.strictEqual(between(graph, 'action\n/_/foo', 'action\n/_/bar')[0].kind, 'flow')
+      assert.strictEqual(between(graph, 'action\n/_/bar', 'join')[0].kind, 'join')
+    })
+
+    it('retry', function () {
+      const graph = composer.retry(3, 'foo').toGraph()
+      assert.strictEqual(find(graph, 'retry').label, 'retry\ncount: 3')
+      assert.strictEqual(between(graph, 'action\n/_/foo', 'retry')[0].kind, 'catch')
+    })
+
+    it('let', function () {
+      const graph = composer.let({ x: 1, y: 2 }, 'foo').toGraph()
+      assert.strictEqual(find(graph, 'let').label, 'let\nx, y')
+      assert.strictEqual(between(graph, 'let', 'action\n/_/foo').length, 1)
+    })
+
+    it('lower', function () {
+      const graph = composer.retain('foo').toGraph({ lower: true })
+      assert.ok(!find(graph, 'retain'))
+      assert.ok(find(graph, 'let'))
+      assert.strictEqual(find(graph, 'action').path, '[0]')
+    })
+  })
+
+  describe('formats', function () {
+    it('dot', function () {
+      const dot = composer.try('foo', 'bar').toGraph({ format: 'dot' })
+      assert.ok(dot.startsWith('digraph composition {\n'))
+      assert.ok(dot.includes('n2 [label="action\\n/_/foo\\n.body" shape=box]'))
+      assert.ok(dot.includes('n1 -> n3 [label="catch" style=dashed color=red]'))
+    })
+
+    it('mermaid', function () {
+      const mermaid = composer.parallel('foo', composer.literal('"x"')).toGraph({ format: 'mermaid' })
+      assert.ok(mermaid.startsWith('flowchart TD\n'))
+      assert.ok(mermaid.includes('n1[/"parallel"\\]'))
+      assert.ok(mermaid.includes('n4["literal<br/>#quot;\\#quot;x\\#quot;#quot;<br/>[1]"]'))
+      assert.ok(mermaid.includes('n1 ==> n3'))
+    })
+  })
+})
@@ -0,0 +1,97 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict'
+
+const assert = require('assert')
+const composer = require('../composer')
+
+describe('lint', function () {
+  let x, y // dummy variables
+
+  describe('arguments', function () {
+    it('too many arguments', function () {
+      try {
+        composer.lint(composer.action('foo'), {}, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid composition', function () {
+      try {
+        composer.lint('foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+  })
+
+  describe('problems', function () {
+    it('no problems', function () {
+      assert.deepStrictEqual(composer.lint(composer.let({ x: 1 }, composer.while(() => x-- > 0, params => ({ x, n: params.n + Math.random() })))), [])
+    })
+
+    it('undeclared variable', function () {
+      assert.deepStrictEqual(composer.lint(composer.seq('foo', () => ({ x }))), [{ path: '[1]', message: 'Function refers to undeclared variable "x"' }])
+    })
+
+    it('masked variable', function () {
+      assert.deepStrictEqual(composer.lint(composer.let({ x: 1 }, () => x, composer.let({ y: 2 }, composer.mask(() => x + y)))),
+        [{ path: '[1][0][0]', message: 'Function refers to undeclared variable "y"' }, { path: '[1]', message: 'Variable "y" is declared but never read' }])
+    })
+
+    it('variable never read', function () {
+      assert.deepStrictEqual(composer.lint(composer.let({ x: 1, y: 2, z: 3 }, () => { x = y })),
+        [{ path: '', message: 'Variable "x" is declared but never read' }, { path: '', message: 'Variable "z" is declared but never read' }])
+    })
+
+    it('retry predicate', function () {
+      assert.deepStrictEqual(composer.lint(composer.retry({ count: 3, when: () => x }, 'foo')), [{ path: '', message: 'Function refers to undeclared variable "x"' }])
+    })
+
+    it('sandbox globals', function () {
+      assert.deepStrictEqual(composer.lint(composer.seq(() => global.foo, () => window.foo)),
+        [{ path: '[0]', message: 'Function refers to undeclared variable "global"' }, { path: '[1]', message: 'Function refers to undeclared variable "window"' }])
+      assert.deepStrictEqual(composer.lint(composer.function(() => ({ b: Buffer.from('x'), u: new URL('http://x'), j: JSON.stringify(Math.PI) }))), [])
+    })
+
+    it('syntax error', function () {
+      assert.ok(composer.lint(composer.function('x =>')).length === 1)
+    })
+
+    it('unreachable branch', function () {
+      assert.deepStrictEqual(composer.lint(composer.if(composer.literal(true), 'foo', 'bar')), [{ path: '', message: 'Condition is always true, alternate is unreachable' }])
+      assert.deepStrictEqual(composer.lint(composer.if_nosave(() => false, 'foo')), [{ path: '', message: 'Condition is always false, consequent is unreachable' }])
+      assert.deepStrictEqual(composer.lint(composer.if(() => true, 'foo')), [])
+    })
+
+    it('infinite loop', function () {
+      assert.deepStrictEqual(composer.lint(composer.while(() => true, 'foo')), [{ path: '', message: 'Loop condition is always true' }])
+      assert.deepStrictEqual(composer.lint(composer.dowhile('foo', function () { return 1 })), [{ path: '', message: 'Loop condition is always true' }])
+    })
+
+    it('action namespace', function () {
+      assert.deepStrictEqual(composer.lint(composer.seq('pkg/foo', 'ns/pkg/foo', '/whisk.system/utils/echo')), [{ path: '[1]', message: 'Action "/ns/pkg/foo" resolves to namespace "ns" instead of "_"' }])
+      assert.deepStrictEqual(composer.lint(composer.action('/ns/foo'), { namespace: 'ns' }), [])
+    })
+  })
+})
@@ -0,0 +1,126 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict'
+
+const assert = require('assert')
+const composer = require('../composer')
+const schema = require('../composition.schema.json')
+const { check, checkSchema } = require('../schema')
+
+// serialize compiled composition
+const compile = composition => JSON.parse(JSON.stringify(composition.compile()))
+
+describe('schema', function () {
+  it('combinators', function () {
+    const types = schema.definitions.composition.properties.type.anyOf[0].enum
+    for (let key in composer) {
+      if (['util', 'task', 'parse', 'upgrade', 'fromASL', 'fromYAML', 'lint', 'simulate'].indexOf(key) >= 0) continue
+      assert.ok(types.indexOf(key) >= 0, key)
+      assert.strictEqual(schema.definitions[key].properties.type.const, key)
+    }
+  })
+
+  it('compiled composition', function () {
+    const composition = composer.seq(
+      composer.action('foo', { action: 'const main = () => ({})', limits: { memory: 128 } }),
+      composer.action('bar', { sequence: ['foo', 'baz'] }),
+      composer.if(() => true, composer.literal({ x: 1 })),
+      composer.try(composer.parallel('foo', composer.race('bar')), composer.sleep(100)),
+      composer.map({ concurrency: 2 }, composer.retry({ count: 2, delay: 10, when: result => true }, 'baz')),
+      composer.switch('foo', { a: 'bar' }, 'baz'),
+      composer.saga([{ do: 'foo', undo: 'bar' }, { do: 'baz' }]),
+      composer.breaker({ key: 'foo', failures: 2, resetAfter: 10 }, 'bar'),
+      composer.let({ x: 1 }, composer.mask(composer.retain('foo'))))
+    assert.strictEqual(check(compile(composition)), undefined)
+  })
+
+  it('source locations', function () {
+    composer.util.locations = true
+    try {
+      assert.strictEqual(check(compile(composer.if('foo', 'bar'))), undefined)
+    } finally {
+      composer.util.locations = false
+    }
+  })
+
+  it('invalid file', function () {
+    assert.deepStrictEqual(check([]), { path: '$', message: 'should be object' })
+  })
+
+  it('missing field', function () {
+    const json = compile(composer.action('foo'))
+    delete json.version
+    assert.deepStrictEqual(check(json), { path: '$', message: 'should have field "version"' })
+  })
+
+  it('invalid field', function () {
+    const json = compile(composer.action('foo'))
+    json.ast.foo = 42
+    assert.deepStrictEqual(check(json), { path: '$.ast', message: 'should not have field "foo"' })
+  })
+
+  it('invalid nested field', function () {
+    const json = compile(composer.seq('foo', composer.while_nosave('bar', 'baz')))
+    json.composition.components[1].test = 'bar'
+    assert.deepStrictEqual(check(json), { path: '$.composition.components[1].test', message: 'should be object' })
+  })
+
+  it('invalid limits', function () {
+    const json = compile(composer.action('foo', { action: 'const main = () => ({})', limits: { memory: 'large' } }))
+    assert.deepStrictEqual(check(json), { path: '$.ast.action.limits.memory', message: 'should be integer' })
+  })
+
+  it('invalid actions', function () {
+    const json = compile(composer.action('foo', { action: 'const main = () => ({})' }))
+    delete json.actions[0].action.exec.kind
+    assert.deepStrictEqual(check(json), { path: '$.actions[0].action.exec', message: 'should have field "kind"' })
+  })
+
+  it('invalid parameters', function () {
+    const json = compile(composer.action('foo', { action: 'const main = () => ({})', parameters: { n: 1 } }))
+    delete json.actions[0].action.parameters[0].value
+    assert.deepStrictEqual(check(json), { path: '$.actions[0].action.parameters[0]', message: 'should have field "value"' })
+  })
+
+  it('definition', function () {
+    assert.deepStrictEqual(check({ type: 'delay', detach: 'yes' }, 'composition'), { path: '$.detach', message: 'should be boolean' })
+    assert.deepStrictEqual(check({ type: 'delay', until: 'yes' }, 'composition'), { path: '$.until', message: 'should be boolean' })
+  })
+
+  it('registered combinator', function () {
+    const lib = composer.util.register({ times: { args: [{ name: 'count', type: 'number' }], components: true, def: composer.repeat } }, 'schema')
+    assert.strictEqual(check(compile(lib.times(2, 'foo'))), undefined)
+    assert.deepStrictEqual(check({ type: 'schema.times', count: 'twice', components: [] }, 'composition'), { path: '$.count', message: 'should be number' })
+    assert.deepStrictEqual(check({ type: 'schema.times', components: [] }, 'composition'), { path: '$', message: 'should have field "count"' })
+  })
+
+  it('unregistered combinator', function () {
+    assert.strictEqual(check({ type: 'schema.twice', body: { type: 'action', name: 'foo' } }, 'composition'), undefined)
+    assert.deepStrictEqual(check({ type: 'twice' }, 'composition'), { path: '$.type', message: 'unknown combinator type "twice"' })
+  })
+
+  it('validate combinator schema', function () {
+    assert.strictEqual(checkSchema({ type: 'object', properties: { n: { type: 'integer', minimum: 0 } }, anyOf: [{ required: ['n'] }, true] }), undefined)
+    assert.deepStrictEqual(checkSchema({ minItems: -1 }), { path: '$.minItems', message: 'should be >= 0' })
+    assert.deepStrictEqual(checkSchema({ properties: { n: { format: 'date' } } }), { path: '$.properties["n"]', message: 'unsupported keyword "format"' })
+    assert.deepStrictEqual(checkSchema({ items: [{ type: 'string' }] }), { path: '$.items', message: 'should be a schema' })
+    assert.deepStrictEqual(checkSchema({ not: { anyOf: [{ $ref: '#' }] } }), { path: '$.not.anyOf[0]', message: 'unsupported keyword "$ref"' })
+  })
+})
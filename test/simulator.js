@@ -0,0 +1,718 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict'
+
+const assert = require('assert')
+const composer = require('../composer')
+
+// local action stubs
+const actions = {
+  echo: x => x,
+  DivideByTwo: ({ n }) => ({ n: n / 2 }),
+  TripleAndIncrement: ({ n }) => ({ n: n * 3 + 1 }),
+  isNotOne: ({ n }) => ({ value: n !== 1 }),
+  isEven: ({ n }) => ({ value: n % 2 === 0 }),
+  sleep: ({ ms }) => new Promise(resolve => setTimeout(() => resolve({ ms }), ms)),
+  _DivideByTwo: composer.seq('DivideByTwo')
+}
+
+// simulate composition
+const invoke = (composition, params = {}) => composer.simulate(composition, params, { actions })
+
+describe('simulator', function () {
+  let x, y, results // dummy variables
+
+  this.timeout(10000)
+
+  describe('arguments', function () {
+    it('too many arguments', function () {
+      try {
+        composer.simulate(composer.action('echo'), {}, {}, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid composition', function () {
+      try {
+        composer.simulate('echo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid params', function () {
+      try {
+        composer.simulate(composer.action('echo'), 42)
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid argument'))
+      }
+    })
+
+    it('invalid action stub', function () {
+      try {
+        composer.simulate(composer.action('echo'), {}, { actions: { echo: 42 } })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid action'))
+      }
+    })
+
+    it('invalid sandbox', function () {
+      try {
+        composer.simulate(composer.action('echo'), {}, { sandbox: { timeout: -1 } })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option'))
+      }
+    })
+
+    it('compiled composition', function () {
+      return composer.simulate(composer.seq('DivideByTwo').compile(), { n: 42 }, { actions })
+        .then(result => assert.deepStrictEqual(result, { n: 21 }))
+    })
+
+    it('params are not modified', function () {
+      const params = { n: 42 }
+      return composer.simulate(composer.seq('DivideByTwo'), params, { actions })
+        .then(() => assert.deepStrictEqual(params, { n: 42 }))
+    })
+  })
+
+  describe('actions', function () {
+    it('action stub', function () {
+      return invoke(composer.action('isNotOne'), { n: 0 }).then(result => assert.deepStrictEqual(result, { value: true }))
+    })
+
+    it('missing action stub', function () {
+      return invoke(composer.action('foo')).then(result => assert.ok(result.error))
+    })
+
+    it('throwing action stub', function () {
+      return composer.simulate(composer.action('foo'), {}, { actions: { foo: () => { throw new Error('bar') } } })
+        .then(result => assert.ok(result.error.endsWith('bar')))
+    })
+
+    it('embedded action definition', function () {
+      return invoke(composer.action('foo', { action: ({ n }) => ({ n: n + 1 }) }), { n: 41 })
+        .then(result => assert.deepStrictEqual(result, { n: 42 }))
+    })
+
+    it('embedded action default parameters', function () {
+      return invoke(composer.action('foo', { action: ({ greeting, name }) => ({ message: `${greeting} ${name}` }), parameters: { greeting: 'Hello', name: 'World' } }), { name: 'Dave' })
+        .then(result => assert.deepStrictEqual(result, { message: 'Hello Dave' }))
+    })
+
+    it('composition default parameters', function () {
+      const composition = Object.assign(composer.seq('echo').compile(), { parameters: [{ key: 'endpoint', value: 'http://localhost' }, { key: 'n', value: 1 }] })
+      return composer.simulate(composition, { n: 2 }, { actions })
+        .then(result => assert.deepStrictEqual(result, { n: 2 }))
+    })
+
+    it('composition default parameters only in composition input', function () {
+      const composition = Object.assign(composer.seq(({ secret, n }) => ({ n, found: secret !== undefined }), 'echo', params => ({ keys: Object.keys(params), found: params.found }), 'echo').compile(),
+        { parameters: [{ key: 'secret', value: 's3cr3t' }] })
+      return composer.simulate(composition, { n: 2 }, { actions })
+        .then(result => assert.deepStrictEqual(result, { keys: ['n', 'found'], found: true }))
+    })
+
+    it('composition default parameters in parallel branches', function () {
+      const composition = Object.assign(composer.parallel(params => params, () => ({ n: 1 })).compile(),
+        { parameters: [{ key: 'secret', value: 's3cr3t' }] })
+      return composer.simulate(composition, { n: 2 }, { actions })
+        .then(result => assert.deepStrictEqual(result, { value: [{ secret: 's3cr3t', n: 2 }, { n: 1 }] }))
+    })
+
+    it('native sequence', function () {
+      return invoke(composer.action('foo', { sequence: ['TripleAndIncrement', 'DivideByTwo'] }), { n: 3 })
+        .then(result => assert.deepStrictEqual(result, { n: 5 }))
+    })
+
+    it('nested composition', function () {
+      return invoke(composer.action('_DivideByTwo'), { n: 42 }).then(result => assert.deepStrictEqual(result, { n: 21 }))
+    })
+
+    it('dynamic', function () {
+      return invoke(composer.dynamic(), { type: 'action', name: 'DivideByTwo', params: { n: 42 } })
+        .then(result => assert.deepStrictEqual(result, { n: 21 }))
+    })
+
+    it('logs', function () {
+      const logs = []
+      return composer.simulate(composer.seq('echo'), {}, { actions, logs })
+        .then(() => assert.ok(logs.includes('Entering composition[0]')))
+    })
+  })
+
+  describe('combinators', function () {
+    it('if', function () {
+      return invoke(composer.if('isEven', 'DivideByTwo', 'TripleAndIncrement'), { n: 3 })
+        .then(result => assert.deepStrictEqual(result, { n: 10 }))
+    })
+
+    it('switch', function () {
+      const composition = composer.switch(({ n }) => n % 3, { 0: 'DivideByTwo', 1: 'TripleAndIncrement' }, () => ({ value: 'default' }))
+      return Promise.all([invoke(composition, { n: 6 }), invoke(composition, { n: 7 }), invoke(composition, { n: 8 })])
+        .then(results => assert.deepStrictEqual(results, [{ n: 3 }, { n: 22 }, { value: 'default' }]))
+    })
+
+    it('switch without default', function () {
+      return invoke(composer.switch(({ type }) => type, { foo: 'DivideByTwo' }), { type: 'bar', n: 42 })
+        .then(result => assert.deepStrictEqual(result, { type: 'bar', n: 42 }))
+    })
+
+    it('switch_nosave', function () {
+      return invoke(composer.switch_nosave(() => ({ value: 'foo', n: 42 }), { foo: 'DivideByTwo' }), { n: 0 })
+        .then(result => assert.deepStrictEqual(result, { n: 21 }))
+    })
+
+    it('try', function () {
+      return invoke(composer.try(() => ({ error: 'foo' }), error => ({ message: error.error })))
+        .then(result => assert.deepStrictEqual(result, { message: 'foo' }))
+    })
+
+    it('finally', function () {
+      return invoke(composer.finally(() => ({ error: 'foo' }), params => ({ params })))
+        .then(result => assert.deepStrictEqual(result, { params: { error: 'foo' } }))
+    })
+
+    it('uncaught error', function () {
+      return invoke(composer.seq(() => ({ error: 'foo' }), 'echo'))
+        .then(result => assert.deepStrictEqual(result, { error: 'foo' }))
+    })
+
+    it('let/let/mask', function () {
+      return invoke(composer.let({ x: 42 }, composer.let({ x: 69 }, composer.mask(() => x))))
+        .then(result => assert.deepStrictEqual(result, { value: 42 }))
+    })
+
+    it('retry', function () {
+      return invoke(composer.let({ x: 2 }, composer.retry(2, () => x-- > 0 ? { error: 'foo' } : 42)))
+        .then(result => assert.deepStrictEqual(result, { value: 42 }))
+    })
+
+    it('retry with backoff', function () {
+      const start = Date.now()
+      return invoke(composer.let({ x: 2 }, composer.retry({ count: 2, delay: 20, factor: 2 }, () => x-- > 0 ? { error: 'foo' } : 42)))
+        .then(result => {
+          assert.deepStrictEqual(result, { value: 42 })
+          assert.ok(Date.now() - start >= 60)
+        })
+    })
+
+    it('retry with backoff exhausted', function () {
+      return invoke(composer.retry({ count: 2, delay: 1 }, () => ({ error: 'foo' })))
+        .then(result => assert.deepStrictEqual(result, { error: 'foo' }))
+    })
+
+    it('retry with maxDelay and jitter', function () {
+      const start = Date.now()
+      return invoke(composer.let({ x: 3 }, composer.retry({ count: 3, delay: 10, factor: 100, maxDelay: 20, jitter: 0.5 }, () => x-- > 0 ? { error: 'foo' } : 42)))
+        .then(result => {
+          assert.deepStrictEqual(result, { value: 42 })
+          assert.ok(Date.now() - start < 5000) // 10ms + 20ms + 20ms instead of 10ms + 1s + 100s
+        })
+    })
+
+    it('retry with predicate', function () {
+      return invoke(composer.let({ x: 3 }, composer.retry({ count: 5, when: ({ error }) => error === 'transient' }, () => x-- > 1 ? { error: 'transient' } : { error: 'fatal' }, 'echo')))
+        .then(result => assert.deepStrictEqual(result, { error: 'fatal' }))
+    })
+
+    it('retry with predicate and success', function () {
+      return invoke(composer.let({ x: 3 }, composer.retry({ count: 5, when: ({ error }) => error === 'transient' }, () => x-- > 0 ? { error: 'transient' } : { x })))
+        .then(result => assert.deepStrictEqual(result, { x: -1 }))
+    })
+
+    it('scheduled retry', function () {
+      let report
+      const reported = new Promise(resolve => { report = resolve })
+      let resumed = false
+      const composition = composer.seq(composer.let({ x: 1 }, composer.retry({ count: 1, delay: 300, detach: true }, () => x-- > 0 ? { error: 'foo' } : { n: 42 })), 'report')
+      return composer.simulate(composition, {}, { actions: { report: params => { resumed = true; return report(params) || params } }, timeout: 5100 })
+        .then(result => {
+          // the conductor activation returns before the end of the delay
+          assert.strictEqual(result.method, 'sleep')
+          assert.strictEqual(resumed, false)
+          return reported
+        })
+        .then(params => assert.deepStrictEqual(params, { n: 42 }))
+    })
+
+    it('retry delay spanning conductor activations', function () {
+      const composition = composer.let({ x: 1 }, composer.retry({ count: 1, delay: 300 }, () => x-- > 0 ? { error: 'foo' } : { n: 42 }))
+      return composer.simulate(composition, {}, { timeout: 5100 })
+        .then(result => assert.deepStrictEqual(result, { n: 42 }))
+    })
+
+    it('delay spanning conductor activations', function () {
+      const start = Date.now()
+      return composer.simulate(composer.seq(() => ({ value: 300 }), composer.delay()), {}, { actions, timeout: 5200 })
+        .then(result => {
+          assert.deepStrictEqual(result, { value: 300 })
+          assert.ok(Date.now() - start >= 300)
+        })
+    })
+
+    it('sleep', function () {
+      const start = Date.now()
+      return invoke(composer.sleep(50), { n: 42 })
+        .then(result => {
+          assert.deepStrictEqual(result, { n: 42 })
+          assert.ok(Date.now() - start >= 50)
+        })
+    })
+
+    it('sleepUntil', function () {
+      const start = Date.now()
+      return invoke(composer.sleepUntil(({ n }) => new Date(Date.now() + n).toISOString()), { n: 50 })
+        .then(result => {
+          assert.deepStrictEqual(result, { n: 50 })
+          assert.ok(Date.now() - start >= 50)
+        })
+    })
+
+    it('sleepUntil with invalid date', function () {
+      return invoke(composer.sleepUntil(() => 'foo'))
+        .then(result => assert.deepStrictEqual(result, { error: 'Invalid date at AST node root: foo' }))
+    })
+
+    it('sleepUntil with number', function () {
+      const start = Date.now()
+      return invoke(composer.sleepUntil(({ n }) => Date.now() + n), { n: 50 })
+        .then(result => {
+          assert.deepStrictEqual(result, { n: 50 })
+          assert.ok(Date.now() - start >= 50)
+        })
+    })
+
+    it('scheduled sleep', function () {
+      let report
+      const reported = new Promise(resolve => { report = resolve })
+      return composer.simulate(composer.seq(composer.sleep(300), 'report'), { n: 42 }, { actions: { report: params => report(params) || params }, timeout: 5100 })
+        .then(result => {
+          assert.strictEqual(result.method, 'sleep')
+          return reported
+        })
+        .then(params => assert.deepStrictEqual(params, { n: 42 }))
+    })
+
+    it('scheduled sleep without redis', function () {
+      return composer.simulate(composer.sleep(300), { n: 42, $composer: { redis: null } }, { timeout: 5100 })
+        .then(result => assert.ok(result.error.startsWith('Sleep combinator requires a properly configured redis instance at AST node root')))
+    })
+
+    it('short sleep without redis', function () {
+      return composer.simulate(composer.sleep(50), { n: 42, $composer: { redis: null } })
+        .then(result => assert.deepStrictEqual(result, { n: 42 }))
+    })
+
+    it('delay with invalid params', function () {
+      return invoke(composer.delay(), { value: 'foo' })
+        .then(result => assert.ok(result.error.startsWith('Incorrect use of the delay combinator')))
+    })
+
+    it('timeout not reached', function () {
+      return invoke(composer.timeout(1000, 'sleep', 'echo'), { ms: 10 })
+        .then(result => assert.deepStrictEqual(result, { ms: 10 }))
+    })
+
+    it('timeout', function () {
+      return invoke(composer.timeout(50, 'sleep', 'echo'), { ms: 100 })
+        .then(result => assert.deepStrictEqual(result, { error: 'timeout' }))
+    })
+
+    it('timeout caught by try', function () {
+      return invoke(composer.try(composer.timeout(50, 'sleep', 'sleep'), () => ({ cached: true })), { ms: 30 })
+        .then(result => assert.deepStrictEqual(result, { cached: true }))
+    })
+
+    it('timeout not caught by inner try', function () {
+      return invoke(composer.timeout(50, composer.try(composer.seq('sleep', 'echo'), () => ({ caught: true }))), { ms: 100 })
+        .then(result => assert.deepStrictEqual(result, { error: 'timeout' }))
+    })
+
+    it('nested timeouts', function () {
+      return invoke(composer.try(composer.timeout(50, composer.try(composer.timeout(1000, 'sleep', 'echo'), () => ({ inner: true }))), () => ({ outer: true })), { ms: 100 })
+        .then(result => assert.deepStrictEqual(result, { outer: true }))
+    })
+
+    describe('breaker', function () {
+      // invoke breaker repeatedly with failing body, collect outputs
+      const attempts = (n, breaker) => composer.let({ results: [] },
+        composer.repeat(n, composer.try(breaker, ({ error }) => ({ caught: error })), result => { results.push(result) }),
+        () => ({ results }))
+
+      const fail = () => ({ error: 'down' })
+
+      it('breaker opens after failures', function () {
+        return invoke(attempts(4, composer.breaker({ key: 'test', failures: 2, resetAfter: 1000 }, fail, () => ({ fallback: true }))))
+          .then(result => assert.deepStrictEqual(result, { results: [{ caught: 'down' }, { caught: 'down' }, { fallback: true }, { fallback: true }] }))
+      })
+
+      it('breaker without fallback', function () {
+        return invoke(attempts(2, composer.breaker({ key: 'test', failures: 1, resetAfter: 1000 }, fail)))
+          .then(result => assert.deepStrictEqual(result, { results: [{ caught: 'down' }, { caught: 'circuit open' }] }))
+      })
+
+      it('breaker success resets failure count', function () {
+        return invoke(composer.let({ x: 0 }, attempts(4, composer.breaker({ key: 'test', failures: 2, resetAfter: 1000 }, () => x++ % 2 ? { x } : { error: 'down' }))))
+          .then(result => assert.deepStrictEqual(result, { results: [{ caught: 'down' }, { x: 2 }, { caught: 'down' }, { x: 4 }] }))
+      })
+
+      it('breaker closes after reset window', function () {
+        const breaker = composer.breaker({ key: 'test', failures: 1, resetAfter: 50 }, ({ value }) => value ? { value } : { error: 'down' }, () => ({ fallback: true }))
+        return invoke(composer.let({ results: [] },
+          composer.try(breaker, ({ error }) => { results.push(error); return {} }),
+          () => ({ ms: 100 }), 'sleep',
+          () => ({ value: true }), breaker, ({ value }) => { results.push(value) },
+          () => ({ results })))
+          .then(result => assert.deepStrictEqual(result, { results: ['down', true] }))
+      })
+
+      it('breaker without redis', function () {
+        return invoke(composer.breaker({ key: 'test', failures: 1, resetAfter: 1000 }, 'echo'), { $composer: { redis: null } })
+          .then(result => assert.ok(result.error.startsWith('Breaker combinator requires a properly configured redis instance')))
+      })
+    })
+
+    describe('saga', function () {
+      // record invocations of steps and compensations
+      const trace = (name, result) => params => { params.trace.push(name); return Object.assign(params, result) }
+
+      it('saga success', function () {
+        return composer.simulate(composer.saga([{ do: 'a', undo: 'undo_a' }, { do: 'b', undo: 'undo_b' }]), { trace: [] }, {
+          actions: { a: trace('a'), b: trace('b'), undo_a: trace('undo a'), undo_b: trace('undo b') }
+        }).then(result => assert.deepStrictEqual(result, { trace: ['a', 'b'] }))
+      })
+
+      it('saga compensations', function () {
+        const undo = name => ({ trace }) => { undone.push(`${name} ${trace.length}`); return {} }
+        const undone = []
+        return composer.simulate(composer.saga([{ do: 'a', undo: 'undo_a' }, { do: 'b' }, { do: 'c', undo: 'undo_c' }, { do: () => ({ error: 'foo' }), undo: 'undo_d' }]), { trace: [] }, {
+          actions: { a: trace('a'), b: trace('b'), c: trace('c'), undo_a: undo('a'), undo_c: undo('c'), undo_d: undo('d') }
+        }).then(result => {
+          assert.deepStrictEqual(result, { error: 'foo' })
+          assert.deepStrictEqual(undone, ['c 3', 'a 1'])
+        })
+      })
+
+      it('saga failing compensation', function () {
+        const undone = []
+        return composer.simulate(composer.saga([{ do: 'a', undo: 'undo_a' }, { do: 'b', undo: 'undo_b' }, { do: () => ({ error: 'foo' }) }]), {}, {
+          actions: { a: () => ({}), b: () => ({}), undo_a: () => undone.push('a') && {}, undo_b: () => { undone.push('b'); return { error: 'bar' } } }
+        }).then(result => {
+          assert.deepStrictEqual(result, { error: 'foo' })
+          assert.deepStrictEqual(undone, ['b', 'a'])
+        })
+      })
+    })
+
+    it('async', function () {
+      return invoke(composer.async('DivideByTwo'), { n: 42 })
+        .then(result => assert.ok(result.activationId))
+    })
+
+    it('parallel', function () {
+      return invoke(composer.parallel('TripleAndIncrement', 'DivideByTwo'), { n: 42 })
+        .then(result => assert.deepStrictEqual(result, { value: [{ n: 127 }, { n: 21 }] }))
+    })
+
+    it('race', function () {
+      return invoke(composer.race(composer.seq(() => ({ ms: 50 }), 'sleep'), () => ({ ms: 0 })))
+        .then(result => assert.deepStrictEqual(result, { ms: 0 }))
+    })
+
+    it('race with error', function () {
+      return invoke(composer.race(composer.seq(() => ({ ms: 50 }), 'sleep'), () => ({ error: 'foo' })))
+        .then(result => assert.deepStrictEqual(result, { error: 'foo' }))
+    })
+
+    it('any', function () {
+      return invoke(composer.any(composer.seq(() => ({ ms: 50 }), 'sleep'), () => ({ error: 'foo' })))
+        .then(result => assert.deepStrictEqual(result, { ms: 50 }))
+    })
+
+    it('any with all errors', function () {
+      return invoke(composer.any(composer.seq(() => ({ ms: 50 }), 'sleep', () => ({ error: 'bar' })), () => ({ error: 'foo' })))
+        .then(result => assert.deepStrictEqual(result, { error: 'bar' }))
+    })
+
+    it('map', function () {
+      return invoke(composer.map('TripleAndIncrement', 'DivideByTwo'), { value: [{ n: 3 }, { n: 5 }, { n: 7 }] })
+        .then(result => assert.deepStrictEqual(result, { value: [{ n: 5 }, { n: 8 }, { n: 11 }] }))
+    })
+
+    it('map with concurrency', function () {
+      let running = 0
+      let peak = 0
+      const work = ({ value }) => {
+        peak = Math.max(peak, ++running)
+        return new Promise(resolve => setTimeout(() => { running--; resolve({ value: value * 2 }) }, 10 + (value % 3) * 10))
+      }
+      const value = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+      return composer.simulate(composer.map({ concurrency: 3 }, 'work'), { value }, { actions: { work } })
+        .then(result => {
+          assert.deepStrictEqual(result, { value: value.map(value => ({ value: value * 2 })) })
+          assert.ok(peak === 3)
+        })
+    })
+
+    it('map with empty array', function () {
+      return invoke(composer.map('DivideByTwo'), { value: [] })
+        .then(result => assert.deepStrictEqual(result, { value: [] }))
+    })
+
+    it('include', function () {
+      return invoke(composer.include('_DivideByTwo'), { n: 42 })
+        .then(result => assert.deepStrictEqual(result, { n: 21 }))
+    })
+
+    it('inline include', function () {
+      const deployed = { '/_/collatz': composer.if('isEven', 'DivideByTwo', 'TripleAndIncrement') }
+      return composer.seq(composer.include('collatz', { inline: true }), composer.include('collatz', { inline: true })).resolve(name => deployed[name])
+        .then(composition => invoke(composition, { n: 5 }))
+        .then(result => assert.deepStrictEqual(result, { n: 8 }))
+    })
+  })
+
+  describe('optimizer', function () {
+    it('fused functions', function () {
+      return invoke(composer.seq(({ n }) => ({ n: n + 1 }), params => { params.m = 1 }, ({ n, m }) => n + m), { n: 1 })
+        .then(result => assert.deepStrictEqual(result, { value: 3 }))
+    })
+
+    it('fused functions with error', function () {
+      return invoke(composer.seq(() => ({ error: 'foo', n: 1 }), () => ({ n: 2 })))
+        .then(result => assert.deepStrictEqual(result, { error: 'foo' }))
+    })
+
+    it('fused functions with promise', function () {
+      return invoke(composer.seq(({ n }) => Promise.resolve({ n: n * 2 }), ({ n }) => ({ n: n + 1 })), { n: 2 })
+        .then(result => assert.deepStrictEqual(result, { n: 5 }))
+    })
+
+    it('fused functions with exception', function () {
+      return invoke(composer.seq(() => ({}), () => { throw new Error('foo') }))
+        .then(result => assert.ok(result.error.startsWith('Function combinator threw an exception')))
+    })
+
+    it('fused function error location', function () {
+      composer.util.locations = true
+      let composition
+      try {
+        composition = composer.seq(
+          p => p,
+          () => { throw new Error('x') },
+          p => p)
+      } finally {
+        composer.util.locations = false
+      }
+      const location = composition.components[1].location
+      return Promise.all([invoke(composition), invoke(composition.compile({ optimize: false }))])
+        .then(results => results.forEach(result => assert.strictEqual(result.error, `Function combinator threw an exception at AST node root[1] (${location}) (see log for details)`)))
+    })
+
+    it('fused functions with rejected promise', function () {
+      return invoke(composer.seq(p => p, p => p, () => Promise.reject(new Error('foo'))))
+        .then(result => assert.ok(result.error.startsWith('Function combinator threw an exception at AST node root[2]'), result.error))
+    })
+
+    it('let variables', function () {
+      return invoke(composer.let({ x: 1 }, composer.let({ y: 2 }, () => { x += y }, () => ({ x }))))
+        .then(result => assert.deepStrictEqual(result, { x: 3 }))
+    })
+
+    it('opt out', function () {
+      return invoke(composer.seq(composer.seq(() => ({ n: 1 }), ({ n }) => ({ n: n + 1 }))).compile({ optimize: false }))
+        .then(result => assert.deepStrictEqual(result, { n: 2 }))
+    })
+  })
+
+  describe('validate', function () {
+    const schema = { type: 'object', required: ['n'], properties: { n: { type: 'integer', minimum: 0 }, tags: { type: 'array', items: { type: 'string' } } } }
+
+    it('valid parameters', function () {
+      return invoke(composer.seq(composer.validate(schema), 'DivideByTwo'), { n: 42, tags: ['a'] })
+        .then(result => assert.deepStrictEqual(result, { n: 21 }))
+    })
+
+    it('violations', function () {
+      return invoke(composer.seq(composer.validate(schema), 'DivideByTwo'), { n: -1, tags: ['a', 2] })
+        .then(result => assert.deepStrictEqual(result, {
+          error: {
+            message: 'Invalid parameters at AST node root[0]',
+            violations: [{ path: '$.n', message: 'should be >= 0' }, { path: '$.tags[1]', message: 'should be string' }]
+          }
+        }))
+    })
+
+    it('combinators', function () {
+      const schema = { anyOf: [{ required: ['a'] }, { required: ['b'] }], not: { required: ['c'] }, additionalProperties: false, properties: { a: { enum: [1, [2]] }, b: true } }
+      return Promise.all([{ a: [2] }, { b: 'x' }, { a: 3 }, {}].map(params => invoke(composer.validate(schema), params)))
+        .then(results => {
+          assert.deepStrictEqual(results[0], { a: [2] })
+          assert.deepStrictEqual(results[1], { b: 'x' })
+          assert.deepStrictEqual(results[2].error.violations, [{ path: '$.a', message: 'should be one of the allowed values' }])
+          assert.deepStrictEqual(results[3].error.violations, [{ path: '$', message: 'should match some schema in "anyOf"' }])
+        })
+    })
+
+    it('catch violations', function () {
+      return invoke(composer.try(composer.validate({ required: ['n'] }), ({ error }) => ({ count: error.violations.length })))
+        .then(result => assert.deepStrictEqual(result, { count: 1 }))
+    })
+
+    it('action input', function () {
+      let called = false
+      return composer.simulate(composer.action('foo', { input: schema }), { n: 'one' }, { actions: { foo: params => { called = true; return params } } })
+        .then(result => {
+          assert.ok(!called)
+          assert.deepStrictEqual(result.error, { message: 'Invalid input of action "/_/foo" at AST node root', violations: [{ path: '$.n', message: 'should be integer' }] })
+        })
+    })
+
+    it('action output', function () {
+      return composer.simulate(composer.seq(composer.action('foo', { output: { properties: { n: { type: 'string' } } } })), { n: 1 }, { actions: { foo: params => params } })
+        .then(result => assert.deepStrictEqual(result.error, { message: 'Invalid output of action "/_/foo" at AST node root[0]', violations: [{ path: '$.n', message: 'should be string' }] }))
+    })
+
+    it('action error', function () {
+      return composer.simulate(composer.action('foo', { output: { required: ['n'] } }), {}, { actions: { foo: () => ({ error: 'bar' }) } })
+        .then(result => assert.deepStrictEqual(result, { error: 'bar' }))
+    })
+  })
+
+  describe('transform', function () {
+    it('mapping', function () {
+      return invoke(composer.seq(composer.transform({ id: '$.order.id', total: '$.items[*].price | sum', status: 'new' }), 'echo'),
+        { order: { id: 7 }, items: [{ price: 2 }, { price: 3 }] })
+        .then(result => assert.deepStrictEqual(result, { id: 7, total: 5, status: 'new' }))
+    })
+
+    it('invalid argument', function () {
+      return invoke(composer.seq('echo', composer.transform({ total: '$.items | sum' })), { items: 'none' })
+        .then(result => assert.deepStrictEqual(result, { error: 'Invalid transform of $.total at AST node root[1]: Function "sum" expects an array of numbers' }))
+    })
+
+    it('literal', function () {
+      return invoke(composer.transform({ n: '$.n', currency: { $literal: '$' } }), { n: 1 })
+        .then(result => assert.deepStrictEqual(result, { n: 1, currency: '$' }))
+    })
+
+    it('missing values', function () {
+      return invoke(composer.transform({ a: '$.q', b: ['$.q', '$.n'] }), { n: 1 })
+        .then(result => assert.deepStrictEqual(result, { b: [1] }))
+    })
+
+    it('error field', function () {
+      return invoke(composer.try(composer.transform({ error: '$.message' }), ({ error }) => ({ caught: error })), { message: 'foo' })
+        .then(result => assert.deepStrictEqual(result, { caught: 'foo' }))
+    })
+  })
+
+  describe('sandbox', function () {
+    it('time limit', function () {
+      return invoke(composer.seq(() => { for (;;) {} }))
+        .then(result => assert.ok(result.error.startsWith('Function combinator exceeded 100ms at AST node root[0]')))
+    })
+
+    it('custom time limit', function () {
+      return composer.simulate(composer.seq(() => { for (;;) {} }), {}, { actions, sandbox: { timeout: 20 } })
+        .then(result => assert.ok(result.error.startsWith('Function combinator exceeded 20ms')))
+    })
+
+    it('catch time limit', function () {
+      return invoke(composer.try(() => { for (;;) {} }, error => ({ message: error.error })))
+        .then(result => assert.ok(result.message.startsWith('Function combinator exceeded')))
+    })
+
+    it('allowed module', function () {
+      return composer.simulate(composer.seq(() => ({ value: require('path').basename('/foo/bar') })), {}, { actions, sandbox: { modules: ['path'] } })
+        .then(result => assert.deepStrictEqual(result, { value: 'bar' }))
+    })
+
+    it('disallowed module', function () {
+      return composer.simulate(composer.seq(() => require('fs').readdirSync('.')), {}, { actions, sandbox: { modules: ['path'] } })
+        .then(result => assert.ok(result.error.startsWith('Function combinator threw an exception')))
+    })
+
+    it('no access to caller globals', function () {
+      return invoke(composer.seq(() => ({ value: typeof describe })))
+        .then(result => assert.deepStrictEqual(result, { value: 'undefined' }))
+    })
+
+    it('process stub', function () {
+      return invoke(composer.seq(() => ({ exit: typeof process.exit, env: typeof process.env.__OW_ACTIVATION_ID })))
+        .then(result => assert.deepStrictEqual(result, { exit: 'undefined', env: 'string' }))
+    })
+
+    it('instanceof', function () {
+      return invoke(composer.let({ x: [1] }, params => ({ object: params instanceof Object, array: x instanceof Array, nested: params.items instanceof Array, require: require instanceof Function, timer: setTimeout instanceof Function })), { items: [] })
+        .then(result => assert.deepStrictEqual(result, { object: true, array: true, nested: true, require: true, timer: true }))
+    })
+
+    it('updated params and let variables', function () {
+      return invoke(composer.let({ y: 1 }, params => { params.m = y; y++ }, params => { params.n = y }), { k: 0 })
+        .then(result => assert.deepStrictEqual(result, { k: 0, m: 1, n: 2 }))
+    })
+
+    it('no code generation from strings', function () {
+      return invoke(composer.seq(function () { return this.constructor.constructor('return process')().pid }))
+        .then(result => assert.ok(result.error.startsWith('Function combinator threw an exception')))
+    })
+  })
+
+  describe('source locations', function () {
+    it('error message', function () {
+      composer.util.locations = true
+      let composition
+      try {
+        composition = composer.seq('echo', () => { throw new Error('foo') })
+      } finally {
+        composer.util.locations = false
+      }
+      return invoke(composition)
+        .then(result => assert.ok(/^Function combinator threw an exception at AST node root\[1\] \(simulator\.js:\d+:\d+\)/.test(result.error)))
+    })
+
+    it('invalid date', function () {
+      composer.util.locations = true
+      let composition
+      try {
+        composition = composer.seq('echo', composer.sleepUntil(() => 'foo'))
+      } finally {
+        composer.util.locations = false
+      }
+      return invoke(composition)
+        .then(result => assert.ok(/^Invalid date at AST node root\[1\] \(simulator\.js:\d+:\d+\): foo$/.test(result.error), result.error))
+    })
+  })
+
+  describe('compositions', function () {
+    it('collatz', function () {
+      return invoke(composer.while('isNotOne', composer.if('isEven', 'DivideByTwo', 'TripleAndIncrement')), { n: 5 })
+        .then(result => assert.deepStrictEqual(result, { n: 1 }))
+    })
+  })
+})
@@ -0,0 +1,149 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict'
+
+const assert = require('assert')
+const transform = require('../transform')
+
+const params = {
+  order: { id: 7, 'ship to': 'Paris' },
+  items: [{ sku: 'a', price: 2 }, { sku: 'b', price: 3.5 }, { sku: 'c' }],
+  tags: { red: 1, blue: 3 }
+}
+
+// apply mapping to params
+const apply = mapping => transform(mapping)(params)
+
+// assert that expression fails with message at compile time or at run time
+const rejects = (expression, message) => {
+  try {
+    apply({ field: expression })
+    assert.fail()
+  } catch (error) {
+    assert.strictEqual(error.path, '$.field')
+    assert.strictEqual(error.message, message)
+  }
+}
+
+describe('transform', function () {
+  describe('paths', function () {
+    it('root', function () {
+      assert.deepStrictEqual(apply({ all: '$' }), { all: params })
+    })
+
+    it('fields', function () {
+      assert.deepStrictEqual(apply({ id: '$.order.id', to: '$.order["ship to"]', quoted: "$['order']['id']" }), { id: 7, to: 'Paris', quoted: 7 })
+    })
+
+    it('indices', function () {
+      assert.deepStrictEqual(apply({ first: '$.items[0].sku', last: '$.items[-1].sku' }), { first: 'a', last: 'c' })
+    })
+
+    it('wildcards', function () {
+      assert.deepStrictEqual(apply({ prices: '$.items[*].price', counts: '$.tags.*' }), { prices: [2, 3.5], counts: [1, 3] })
+    })
+
+    it('missing values', function () {
+      assert.deepStrictEqual(apply({ foo: '$.foo.bar', sku: '$.items[5].sku', total: '$.foo | sum', none: '$.foo[*]' }), { none: [] })
+    })
+
+    it('missing values in arrays', function () {
+      assert.deepStrictEqual(apply({ a: '$.q', b: ['$.q', '$.items[0].sku', '$.foo | sum'], c: [{ d: '$.q' }] }), { b: ['a'], c: [{}] })
+    })
+  })
+
+  describe('functions', function () {
+    it('aggregates', function () {
+      assert.deepStrictEqual(apply({
+        sum: '$.items[*].price | sum',
+        avg: '$.tags.* | avg',
+        min: '$.items[*].price | min',
+        max: '$.items[*].price|max',
+        length: '$.items | length'
+      }), { sum: 5.5, avg: 2, min: 2, max: 3.5, length: 3 })
+    })
+
+    it('lists', function () {
+      assert.deepStrictEqual(apply({
+        first: '$.items[*].sku | first',
+        last: '$.items[*].sku | sort | last',
+        keys: '$.tags | keys',
+        values: '$.tags | values',
+        unique: '$.items[*].price | flatten | unique'
+      }), { first: 'a', last: 'c', keys: ['red', 'blue'], values: [1, 3], unique: [2, 3.5] })
+    })
+
+    it('conversions', function () {
+      assert.deepStrictEqual(apply({ id: '$.order.id | string', n: '$.items[1].price | string | number', none: '$.items[2].price | not' }),
+        { id: '7', n: 3.5 })
+    })
+
+    it('chains', function () {
+      assert.deepStrictEqual(apply({ count: '$.items[*].price | length | not | not' }), { count: true })
+    })
+  })
+
+  describe('mappings', function () {
+    it('nested dictionaries and arrays', function () {
+      assert.deepStrictEqual(apply({ order: { id: '$.order.id', lines: ['$.items[0].sku', '$.items[1].sku'] } }), { order: { id: 7, lines: ['a', 'b'] } })
+    })
+
+    it('constants', function () {
+      assert.deepStrictEqual(apply({ status: 'new', count: 1, flag: null, list: [true] }), { status: 'new', count: 1, flag: null, list: [true] })
+    })
+
+    it('literals', function () {
+      assert.deepStrictEqual(apply({ price: { $literal: '$5' }, list: [{ $literal: '$.items' }], raw: { $literal: { id: '$.order.id' } } }),
+        { price: '$5', list: ['$.items'], raw: { id: '$.order.id' } })
+      assert.deepStrictEqual(apply({ a: { $literal: 1, b: '$.order.id' } }), { a: { $literal: 1, b: 7 } })
+    })
+  })
+
+  describe('errors', function () {
+    it('invalid path', function () {
+      rejects('$.items.[0]', 'Expected a field name, an index, or a wildcard at position 7 of expression "$.items.[0]"')
+      rejects('$[items]', 'Expected a field name, an index, or a wildcard at position 1 of expression "$[items]"')
+    })
+
+    it('invalid pipe', function () {
+      rejects('$.items sum', 'Expected "|" at position 8 of expression "$.items sum"')
+      rejects('$.items |', 'Expected a function name at position 9 of expression "$.items |"')
+    })
+
+    it('unknown function', function () {
+      rejects('$.items | total', 'Unknown function "total" at position 10 of expression "$.items | total"')
+    })
+
+    it('invalid argument', function () {
+      rejects('$.order | sum', 'Function "sum" expects an array of numbers')
+      rejects('$.items | keys', 'Function "keys" expects a dictionary')
+      rejects('$.order.id | length', 'Function "length" expects a string, an array, or a dictionary')
+    })
+
+    it('path of nested entry', function () {
+      try {
+        apply({ order: { 'line items': ['$.items', '$.items | sum'] } })
+        assert.fail()
+      } catch (error) {
+        assert.strictEqual(error.path, '$.order["line items"][1]')
+      }
+    })
+  })
+})
@@ -0,0 +1,191 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict'
+
+const assert = require('assert')
+const composer = require('../composer')
+
+// serialize composition
+const json = composition => JSON.parse(JSON.stringify(composition))
+
+// assert that upgrade fails with message
+const rejects = (file, message) => {
+  try {
+    composer.upgrade(file)
+    assert.fail()
+  } catch (error) {
+    assert.ok(error.message.startsWith(message), error.message)
+  }
+}
+
+const action = name => ({ type: 'action', name })
+
+// format version of this composer module
+const minor = +composer.util.version.split('.')[1]
+
+describe('upgrade', function () {
+  describe('arguments', function () {
+    it('too many arguments', function () {
+      try {
+        composer.upgrade({}, 'foo')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid argument', function () {
+      rejects('foo', 'Invalid argument')
+    })
+
+    it('missing composition', function () {
+      rejects({ version: '0.11.0' }, 'Missing composition')
+    })
+
+    it('invalid version', function () {
+      rejects({ version: 'latest', composition: action('/_/foo') }, 'Invalid version')
+    })
+  })
+
+  describe('current format', function () {
+    it('unchanged', function () {
+      const file = json(composer.seq('foo', composer.retain_catch('bar')).compile())
+      assert.deepStrictEqual(json(composer.upgrade(file)), file)
+    })
+
+    it('embedded actions', function () {
+      const file = json(composer.action('foo', { action: 'const main = () => ({})' }).compile())
+      assert.deepStrictEqual(json(composer.upgrade(file)).actions, file.actions)
+    })
+
+    it('unregistered combinator', function () {
+      const lib = composer.util.declare({ twice: { args: [{ name: 'body' }], def: body => composer.seq(body, body) } }, 'upgrade')
+      const file = json(composer.seq(lib.twice('foo')).compile())
+      assert.deepStrictEqual(json(composer.upgrade(file)), file)
+      try {
+        composer.upgrade(file).ast.compile()
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Unknown combinator type "upgrade.twice" in "lower"'))
+      }
+    })
+
+    it('newer patch version', function () {
+      const file = Object.assign(json(composer.seq('foo').compile()), { version: `0.${minor}.9` })
+      assert.strictEqual(composer.upgrade(file).version, `0.${minor}.9`)
+    })
+
+    it('invalid file', function () {
+      const file = Object.assign(json(composer.seq('foo').compile()), { extra: true })
+      rejects(file, 'Invalid composition file at $ in "upgrade": should not have field "extra"')
+    })
+  })
+
+  describe('newer format', function () {
+    it('newer minor version', function () {
+      rejects({ version: `0.${minor + 1}.0`, composition: action('/_/foo'), ast: action('/_/foo') },
+        `Unsupported composition version 0.${minor + 1}.0 in "upgrade": composer version ${composer.util.version} only supports versions up to 0.${minor}.x`)
+    })
+
+    it('newer major version', function () {
+      rejects({ version: '1.0.0', composition: action('/_/foo') }, 'Unsupported composition version 1.0.0')
+    })
+  })
+
+  describe('older format', function () {
+    it('version', function () {
+      const obj = composer.upgrade({ version: '0.11.0', composition: action('/_/foo'), ast: action('/_/foo') })
+      assert.strictEqual(obj.version, composer.util.version)
+      assert.deepStrictEqual(json(obj), json(composer.action('foo').compile()))
+    })
+
+    it('previous minor version', function () {
+      const file = { version: `0.${minor - 1}.0`, composition: { type: 'sequence', components: [action('/_/foo')] }, ast: { type: 'sequence', components: [action('/_/foo')] } }
+      const obj = composer.upgrade(file)
+      assert.strictEqual(obj.version, composer.util.version)
+      assert.deepStrictEqual(json(obj), json(composer.sequence('foo').compile()))
+    })
+
+    it('missing version and ast', function () {
+      const obj = composer.upgrade({ composition: { type: 'sequence', components: [action('/_/foo')] } })
+      assert.deepStrictEqual(json(obj.ast), json(composer.sequence('foo')))
+    })
+
+    it('nosave option', function () {
+      const ast = {
+        type: 'while',
+        test: action('/_/foo'),
+        body: { type: 'if', test: action('/_/bar'), consequent: action('/_/baz'), options: { nosave: false } },
+        options: { nosave: true }
+      }
+      const obj = composer.upgrade({ version: '0.10.0', ast, composition: ast })
+      assert.deepStrictEqual(json(obj.ast), json(composer.while_nosave('foo', composer.if('bar', 'baz'))))
+    })
+
+    it('catch option', function () {
+      const ast = { type: 'retain', components: [action('/_/foo')], options: { catch: true } }
+      assert.deepStrictEqual(json(composer.upgrade({ version: '0.9.0', ast, composition: ast }).ast), json(composer.retain_catch('foo')))
+    })
+
+    it('function exec', function () {
+      const ast = { type: 'sequence', components: [{ type: 'function', exec: { kind: 'nodejs:default', code: '() => ({})' } }, { type: 'function', exec: 'params => params' }] }
+      assert.deepStrictEqual(json(composer.upgrade({ version: '0.9.0', ast, composition: ast }).ast),
+        json(composer.sequence(composer.function('() => ({})'), composer.function('params => params'))))
+    })
+
+    it('embedded actions', function () {
+      const actions = [{ name: '/_/foo', action: { exec: { kind: 'nodejs:default', code: 'const main = () => ({})' } } }]
+      assert.deepStrictEqual(json(composer.upgrade({ version: '0.11.0', ast: action('/_/foo'), composition: action('/_/foo'), actions }).actions), actions)
+    })
+
+    it('unsupported option', function () {
+      const ast = { type: 'sequence', components: [{ type: 'retain', components: [], options: { field: 'result' } }] }
+      rejects({ version: '0.9.0', ast, composition: ast }, 'Cannot upgrade options of "retain" combinator at $.ast.components[0] in "upgrade"')
+    })
+
+    it('invalid composition', function () {
+      rejects({ version: '0.9.0', ast: { type: 'sequence', components: [{ type: 'foo' }] } }, 'Invalid composition at $.ast.components[0].type in "upgrade"')
+    })
+  })
+
+  describe('parse', function () {
+    it('compiled composition', function () {
+      const ast = { type: 'retain', components: [action('/_/foo')], options: { catch: true } }
+      assert.deepStrictEqual(json(composer.parse({ version: '0.11.0', ast, composition: ast })), json(composer.retain_catch('foo')))
+    })
+
+    it('newer version', function () {
+      try {
+        composer.parse({ version: '1.0.0', composition: action('/_/foo'), ast: action('/_/foo') })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Unsupported composition version 1.0.0'))
+      }
+    })
+  })
+
+  describe('simulation', function () {
+    it('upgraded composition', function () {
+      const ast = { type: 'if', test: { type: 'function', exec: '({ n }) => ({ value: n > 0 })' }, consequent: { type: 'function', exec: '() => ({ sign: 1 })' }, options: { nosave: true } }
+      return composer.simulate(composer.upgrade({ version: '0.11.0', ast, composition: ast }), { n: 2 })
+        .then(result => assert.deepStrictEqual(result, { sign: 1 }))
+    })
+  })
+})
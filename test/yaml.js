@@ -0,0 +1,212 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/* eslint-env mocha */
+
+'use strict'
+
+const assert = require('assert')
+const composer = require('../composer')
+const fs = require('fs')
+const path = require('path')
+
+// serialize composition
+const json = composition => JSON.parse(JSON.stringify(composition))
+
+// assert that document translates to composition
+const translates = (source, composition) => assert.deepStrictEqual(json(composer.fromYAML(source)), json(composition))
+
+// assert that translation fails with the given message
+const rejects = (source, message) => {
+  try {
+    composer.fromYAML(source)
+    assert.fail()
+  } catch (error) {
+    assert.ok(error.message.startsWith(message), error.message)
+  }
+}
+
+describe('yaml', function () {
+  describe('arguments', function () {
+    it('too many arguments', function () {
+      try {
+        composer.fromYAML('foo', {}, 'bar')
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Too many arguments'))
+      }
+    })
+
+    it('invalid source', function () {
+      rejects({ seq: [] }, 'Invalid argument "source" in "fromYAML"')
+    })
+
+    it('invalid option', function () {
+      try {
+        composer.fromYAML('foo', { foo: 'bar' })
+        assert.fail()
+      } catch (error) {
+        assert.ok(error.message.startsWith('Invalid option "foo" in "fromYAML"'))
+      }
+    })
+  })
+
+  describe('errors', function () {
+    it('syntax error', function () {
+      rejects('- foo\n- [bar', 'Invalid YAML at line 3 in "fromYAML"')
+    })
+
+    it('empty document', function () {
+      rejects('', 'Empty document in "fromYAML"')
+    })
+
+    it('unknown combinator', function () {
+      rejects('- foo: bar', 'Invalid composition at $[0] in "fromYAML": Unknown combinator "foo"')
+    })
+
+    it('several combinators', function () {
+      rejects('{ seq: [], par: [] }', 'Invalid composition at $ in "fromYAML": Expected a dictionary with a single combinator')
+    })
+
+    it('invalid task', function () {
+      rejects('if: { test: foo, then: 42 }', 'Invalid composition at $.if.consequent in "fromYAML": Expected an action name, a list, or a combinator')
+    })
+
+    it('invalid argument', function () {
+      rejects('if: { test: foo }', 'Invalid composition at $.if in "fromYAML": Invalid argument "consequent" in "if combinator"')
+    })
+
+    it('missing named arguments', function () {
+      rejects('repeat: [foo, bar]', 'Invalid composition at $.repeat in "fromYAML": Expected a dictionary of arguments of the "repeat" combinator')
+    })
+
+    it('invalid action name', function () {
+      rejects('[foo, /a/b/c/d]', 'Invalid composition at $[1] in "fromYAML"')
+    })
+  })
+
+  describe('translation', function () {
+    it('action', function () {
+      translates('foo', composer.action('foo'))
+    })
+
+    it('empty', function () {
+      translates('null', composer.empty())
+    })
+
+    it('sequence', function () {
+      translates('- foo\n- bar\n', composer.sequence('foo', 'bar'))
+    })
+
+    it('if with aliases', function () {
+      translates('- if: {test: isEven, then: DivideByTwo, else: TripleAndIncrement}', composer.sequence(composer.if('isEven', 'DivideByTwo', 'TripleAndIncrement')))
+    })
+
+    it('named arguments', function () {
+      translates('while: { test: foo, body: [bar, baz] }', composer.while('foo', composer.sequence('bar', 'baz')))
+    })
+
+    it('components', function () {
+      translates('parallel: [foo, bar]', composer.parallel('foo', 'bar'))
+      translates('mask: foo', composer.mask('foo'))
+      translates('retain: { components: [foo] }', composer.retain('foo'))
+    })
+
+    it('single argument', function () {
+      translates('sleep: 100', composer.sleep(100))
+      translates('dynamic: null', composer.dynamic())
+    })
+
+    it('literal', function () {
+      translates('literal: { value: 42 }', composer.literal({ value: 42 }))
+      translates('value: [1, 2]', composer.value([1, 2]))
+    })
+
+    it('inline function', function () {
+      translates('function: "({ n }) => ({ n: n + 1 })"', composer.function('({ n }) => ({ n: n + 1 })'))
+    })
+
+    it('let', function () {
+      translates('let: { declarations: { n: 0 }, components: foo }', composer.let({ n: 0 }, 'foo'))
+    })
+
+    it('switch', function () {
+      translates('switch: { selector: foo, cases: { a: bar }, default: baz }', composer.switch('foo', { a: 'bar' }, 'baz'))
+    })
+
+    it('retry', function () {
+      translates('retry: { count: 2, delay: 10, components: [foo] }', composer.retry({ count: 2, delay: 10 }, 'foo'))
+    })
+
+    it('map', function () {
+      translates('map: { concurrency: 2, components: foo }', composer.map({ concurrency: 2 }, 'foo'))
+      translates('map: foo', composer.map('foo'))
+    })
+
+    it('breaker', function () {
+      translates('breaker: { key: k, failures: 2, resetAfter: 10, body: foo }', composer.breaker({ key: 'k', failures: 2, resetAfter: 10 }, 'foo'))
+    })
+
+    it('saga', function () {
+      translates('saga: [{ do: foo, undo: bar }, { do: baz }]', composer.saga([{ do: 'foo', undo: 'bar' }, { do: 'baz' }]))
+    })
+
+    it('embedded action', function () {
+      const composition = composer.fromYAML('action: { name: foo, filename: yaml.js, limits: { memory: 128 } }', { dirname: __dirname })
+      assert.deepStrictEqual(composition.action, { exec: { kind: 'nodejs:default', code: fs.readFileSync(path.join(__dirname, 'yaml.js'), 'utf8') }, limits: { memory: 128 } })
+    })
+
+    it('action schemas', function () {
+      translates('action: { name: foo, input: { required: [n] }, output: { type: object } }', composer.action('foo', { input: { required: ['n'] }, output: { type: 'object' } }))
+    })
+
+    it('validate', function () {
+      translates('validate: { type: object, required: [n] }', composer.validate({ type: 'object', required: ['n'] }))
+    })
+
+    it('transform', function () {
+      translates('transform: { id: $.order.id, total: "$.items[*].price | sum" }', composer.transform({ id: '$.order.id', total: '$.items[*].price | sum' }))
+    })
+
+    it('registered combinator', function () {
+      const lib = composer.util.register({ twice: { args: [{ name: 'body' }], def: body => composer.seq(body, body) } }, 'yaml')
+      translates('yaml.twice: { body: [foo, bar] }', lib.twice(composer.sequence('foo', 'bar')))
+    })
+
+    it('json', function () {
+      translates(JSON.stringify({ if: { test: 'foo', then: ['bar', { literal: { x: 1 } }] } }, null, '\t'), composer.if('foo', composer.sequence('bar', composer.literal({ x: 1 }))))
+    })
+  })
+
+  describe('simulation', function () {
+    it('collatz', function () {
+      const source = [
+        'while:',
+        '  test:',
+        '    function: "({ n }) => n !== 1"',
+        '  body:',
+        '    if:',
+        '      test:',
+        '        function: "({ n }) => n % 2 === 0"',
+        '      then: DivideByTwo',
+        '      else: TripleAndIncrement'
+      ].join('\n')
+      const actions = { DivideByTwo: ({ n }) => ({ n: n / 2 }), TripleAndIncrement: ({ n }) => ({ n: 3 * n + 1 }) }
+      return composer.simulate(composer.fromYAML(source), { n: 6 }, { actions }).then(result => assert.deepStrictEqual(result, { n: 1 }))
+    })
+  })
+})
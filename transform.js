@@ -0,0 +1,187 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+/**
+ * Compiles the mapping of a transform combinator to a function of the input
+ * parameter object returning the output parameter object.
+ *
+ * A string starting with $ is an expression: a path followed by zero or more
+ * functions separated by |, e.g. $.items[*].price | sum. A dictionary with a
+ * single $literal field is the constant value of this field, e.g. a string
+ * starting with $. Other dictionaries and arrays are mapped recursively. Other
+ * values are constants.
+ *
+ * Errors are thrown with a path field naming the offending mapping entry.
+ * The function is self-contained: its code is embedded in the conductor action.
+ */
+module.exports = function transform (mapping) {
+  const isObject = obj => typeof obj === 'object' && obj !== null && !Array.isArray(obj)
+
+  const numbers = name => list => {
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'number')) throw new Error(`Function "${name}" expects an array of numbers`)
+    return list
+  }
+  const array = name => list => {
+    if (!Array.isArray(list)) throw new Error(`Function "${name}" expects an array`)
+    return list
+  }
+  const object = name => obj => {
+    if (!isObject(obj)) throw new Error(`Function "${name}" expects a dictionary`)
+    return obj
+  }
+
+  // functions applicable to the result of a path
+  const functions = {
+    sum: list => numbers('sum')(list).reduce((sum, n) => sum + n, 0),
+    avg: list => numbers('avg')(list).length > 0 ? list.reduce((sum, n) => sum + n, 0) / list.length : undefined,
+    min: list => numbers('min')(list).length > 0 ? Math.min(...list) : undefined,
+    max: list => numbers('max')(list).length > 0 ? Math.max(...list) : undefined,
+    length: value => {
+      if (typeof value === 'string' || Array.isArray(value)) return value.length
+      if (isObject(value)) return Object.keys(value).length
+      throw new Error('Function "length" expects a string, an array, or a dictionary')
+    },
+    first: list => array('first')(list)[0],
+    last: list => array('last')(list)[list.length - 1],
+    flatten: list => array('flatten')(list).reduce((flat, item) => flat.concat(item), []),
+    unique: list => array('unique')(list).filter((item, index) => list.findIndex(other => JSON.stringify(other) === JSON.stringify(item)) === index),
+    sort: list => {
+      if (!Array.isArray(list) || !(list.every(item => typeof item === 'number') || list.every(item => typeof item === 'string'))) {
+        throw new Error('Function "sort" expects an array of numbers or an array of strings')
+      }
+      return list.slice().sort((a, b) => a < b ? -1 : a > b ? 1 : 0)
+    },
+    keys: obj => Object.keys(object('keys')(obj)),
+    values: obj => Object.keys(object('values')(obj)).map(key => obj[key]),
+    not: value => !value,
+    string: value => typeof value === 'string' ? value : JSON.stringify(value),
+    number: value => {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+      if (typeof n !== 'number' || !isFinite(n)) throw new Error('Function "number" expects a number or a numeric string')
+      return n
+    }
+  }
+
+  // compile an expression
+  const expression = source => {
+    let i = 0
+    const fail = message => { throw new Error(`${message} at position ${i} of expression ${JSON.stringify(source)}`) }
+    const space = () => { while (source[i] === ' ') i++ }
+    const segments = [] // { name }, { index }, or { wildcard }
+    const pipes = []
+
+    // path
+    if (source[i] !== '$') fail('Expected "$"')
+    i++
+    while (i < source.length && source[i] !== ' ' && source[i] !== '|') {
+      const rest = source.slice(i)
+      let match
+      if ((match = /^\.\*|^\[\*\]/.exec(rest))) {
+        segments.push({ wildcard: true })
+      } else if ((match = /^\.([A-Za-z_$][\w$]*)/.exec(rest))) {
+        segments.push({ name: match[1] })
+      } else if ((match = /^\[(-?\d+)\]/.exec(rest))) {
+        segments.push({ index: parseInt(match[1]) })
+      } else if ((match = /^\[("(?:[^"\\]|\\.)*")\]/.exec(rest))) {
+        segments.push({ name: JSON.parse(match[1]) })
+      } else if ((match = /^\['((?:[^'\\]|\\.)*)'\]/.exec(rest))) {
+        segments.push({ name: match[1].replace(/\\(.)/g, '$1') })
+      } else {
+        fail('Expected a field name, an index, or a wildcard')
+      }
+      i += match[0].length
+    }
+
+    // functions
+    space()
+    while (i < source.length) {
+      if (source[i] !== '|') fail('Expected "|"')
+      i++
+      space()
+      const match = /^\w+/.exec(source.slice(i))
+      if (!match) fail('Expected a function name')
+      if (!Object.prototype.hasOwnProperty.call(functions, match[0])) fail(`Unknown function "${match[0]}"`)
+      pipes.push(functions[match[0]])
+      i += match[0].length
+      space()
+    }
+
+    return params => {
+      let values = [params]
+      let projection = false // a wildcard produces a list of values
+      for (const segment of segments) {
+        if (segment.wildcard) {
+          projection = true
+          values = values.reduce((list, value) => list.concat(Array.isArray(value) ? value : isObject(value) ? Object.keys(value).map(key => value[key]) : []), [])
+        } else if (segment.index !== undefined) {
+          values = values.map(value => Array.isArray(value) ? value[segment.index < 0 ? value.length + segment.index : segment.index] : undefined)
+        } else {
+          values = values.map(value => isObject(value) && Object.prototype.hasOwnProperty.call(value, segment.name) ? value[segment.name] : undefined)
+        }
+        values = values.filter(value => value !== undefined)
+      }
+      let result = projection ? values : values[0]
+      for (const f of pipes) {
+        if (result === undefined) break // missing value
+        result = f(result)
+      }
+      return result
+    }
+  }
+
+  // compile a mapping entry at path
+  const compile = (mapping, path) => {
+    if (isObject(mapping) && Object.keys(mapping).length === 1 && Object.prototype.hasOwnProperty.call(mapping, '$literal')) {
+      return () => mapping.$literal
+    }
+    if (typeof mapping === 'string' && mapping[0] === '$') {
+      let f
+      try {
+        f = expression(mapping)
+      } catch (error) {
+        throw Object.assign(error, { path })
+      }
+      return params => {
+        try {
+          return f(params)
+        } catch (error) {
+          throw Object.assign(error, { path })
+        }
+      }
+    }
+    if (Array.isArray(mapping)) {
+      const items = mapping.map((item, index) => compile(item, `${path}[${index}]`))
+      return params => items.map(f => f(params)).filter(value => value !== undefined) // like fields, missing values are omitted
+    }
+    if (isObject(mapping)) {
+      const fields = Object.keys(mapping).map(key => ({ key, f: compile(mapping[key], /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`) }))
+      return params => {
+        const result = {}
+        for (const { key, f } of fields) {
+          const value = f(params)
+          if (value !== undefined) result[key] = value
+        }
+        return result
+      }
+    }
+    return () => mapping
+  }
+
+  return compile(mapping, '$')
+}
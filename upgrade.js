@@ -0,0 +1,127 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const isObject = obj => typeof obj === 'object' && obj !== null && !Array.isArray(obj)
+
+// parse major.minor.patch version
+const parse = version => {
+  const match = typeof version === 'string' && /^(\d+)\.(\d+)\.(\d+)/.exec(version)
+  return match ? match.slice(1, 4).map(Number) : undefined
+}
+
+// compare versions
+const compare = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]
+
+// format of a version: the major version, or the minor version for 0.x versions
+const format = version => version[0] > 0 ? [version[0], 0, 0] : [0, version[1], 0]
+
+// fields of legacy compositions containing nested compositions
+const nested = ['components', 'test', 'consequent', 'alternate', 'body', 'handler', 'finalizer']
+
+// upgrades of the ast nodes of compositions older than version, in order
+const migrations = [
+  {
+    version: '0.12.0',
+    upgrade (node, where, fail) {
+      // nosave option replaced with if_nosave, while_nosave, and dowhile_nosave combinators
+      if (['if', 'while', 'dowhile'].indexOf(node.type) >= 0 && node.options !== undefined) {
+        if (!isObject(node.options) || Object.keys(node.options).some(key => key !== 'nosave')) fail(`Cannot upgrade options of "${node.type}" combinator`, where)
+        if (node.options.nosave) node.type += '_nosave'
+        delete node.options
+      }
+      // catch option replaced with retain_catch combinator
+      if (node.type === 'retain' && node.options !== undefined) {
+        if (!isObject(node.options) || Object.keys(node.options).some(key => key !== 'catch')) fail('Cannot upgrade options of "retain" combinator', where)
+        if (node.options.catch) node.type = 'retain_catch'
+        delete node.options
+      }
+      // function definition moved to function.exec field
+      if (node.type === 'function' && node.function === undefined && node.exec !== undefined) {
+        node.function = { exec: typeof node.exec === 'string' ? { kind: 'nodejs:default', code: node.exec } : node.exec }
+        delete node.exec
+      }
+    }
+  },
+  {
+    version: '0.13.0',
+    upgrade (node) {
+      // new combinator types and fields only: 0.12 compositions are valid 0.13 compositions and are compiled again
+    }
+  }
+]
+
+module.exports = (composer, ComposerError, revive, version) => {
+  const current = parse(version)
+
+  // report an error in the file
+  const fail = (message, where) => {
+    throw new ComposerError(`${message} at ${where} in "upgrade"`)
+  }
+
+  // apply migration to ast node and nested compositions
+  const migrate = (node, where, migration) => {
+    if (!isObject(node) || typeof node.type !== 'string') return
+    migration.upgrade(node, where, fail)
+    for (let key of nested) {
+      if (Array.isArray(node[key])) {
+        node[key].forEach((child, index) => migrate(child, `${where}.${key}[${index}]`, migration))
+      } else {
+        migrate(node[key], `${where}.${key}`, migration)
+      }
+    }
+  }
+
+  return {
+    // upgrade compiled composition to the current format
+    upgrade (file) {
+      if (file.version !== undefined && !parse(file.version)) throw new ComposerError('Invalid version in "upgrade"', file.version)
+      const from = file.version === undefined ? [0, 0, 0] : parse(file.version)
+      if (compare(format(from), format(current)) > 0) {
+        const supported = current[0] > 0 ? `${current[0]}.x` : `0.${current[1]}.x`
+        throw new ComposerError(`Unsupported composition version ${file.version} in "upgrade": composer version ${version} only supports versions up to ${supported}`)
+      }
+      if (!isObject(file.ast) && !isObject(file.composition)) throw new ComposerError('Missing composition in "upgrade"', file)
+
+      // current format: validate as is
+      if (compare(format(from), format(current)) === 0) {
+        const problem = require('./schema').check(file)
+        if (problem) throw new ComposerError(`Invalid composition file at ${problem.path} in "upgrade": ${problem.message}`)
+        const obj = { composition: composer.parse(file.composition), ast: revive(file.ast, 'upgrade'), version: file.version }
+        if (file.actions !== undefined) obj.actions = file.actions
+        return obj
+      }
+
+      // older format: upgrade the ast then recompile
+      const where = file.ast !== undefined ? '$.ast' : '$.composition'
+      const ast = JSON.parse(JSON.stringify(file.ast !== undefined ? file.ast : file.composition))
+      for (let migration of migrations) {
+        if (compare(from, parse(migration.version)) < 0) migrate(ast, where, migration)
+      }
+      const problem = require('./schema').check(ast, 'composition')
+      if (problem) throw new ComposerError(`Invalid composition at ${where}${problem.path.substring(1)} in "upgrade": ${problem.message}`)
+      const obj = revive(ast, 'upgrade').compile()
+      // keep the embedded action definitions missing from the ast
+      const actions = (obj.actions || []).concat((file.actions || []).filter(({ name }) => (obj.actions || []).every(action => action.name !== name)))
+      if (actions.length > 0) obj.actions = actions
+      const invalid = require('./schema').check(JSON.parse(JSON.stringify(obj)))
+      if (invalid) throw new ComposerError(`Invalid composition file at ${invalid.path} in "upgrade": ${invalid.message}`)
+      return obj
+    }
+  }
+}
@@ -0,0 +1,153 @@
+/*
+ * Licensed to the Apache Software Foundation (ASF) under one or more
+ * contributor license agreements.  See the NOTICE file distributed with
+ * this work for additional information regarding copyright ownership.
+ * The ASF licenses this file to You under the Apache License, Version 2.0
+ * (the "License"); you may not use this file except in compliance with
+ * the License.  You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict'
+
+const path = require('path')
+
+const isObject = obj => typeof obj === 'object' && obj !== null && !Array.isArray(obj)
+
+// alternative names of combinator arguments
+const aliases = {
+  if: { then: 'consequent', else: 'alternate' },
+  if_nosave: { then: 'consequent', else: 'alternate' }
+}
+
+// options of the action combinator
+const actionOptions = ['action', 'filename', 'sequence', 'limits', 'parameters', 'input', 'output']
+
+module.exports = (composer, ComposerError, combinators, factories = {}) => {
+  // report an error in the document
+  const fail = (message, where, argument) => {
+    throw new ComposerError(`Invalid composition at ${where} in "fromYAML": ${message}`, argument)
+  }
+
+  // translate a document to a composition, resolving file names relative to dirname
+  const translate = (document, dirname) => {
+    // translate a node of the document
+    const task = (node, where) => {
+      if (node === null || typeof node === 'string') return invoke(() => composer.task(node), where)
+      if (Array.isArray(node)) return composer.sequence(...node.map((node, index) => task(node, `${where}[${index}]`)))
+      if (!isObject(node)) fail('Expected an action name, a list, or a combinator', where, node)
+      const keys = Object.keys(node)
+      if (keys.length !== 1) fail('Expected a dictionary with a single combinator', where, node)
+      const type = keys[0]
+      if (!Object.prototype.hasOwnProperty.call(combinators, type)) fail(`Unknown combinator "${type}"`, where, type)
+      return combinator(type, node[type], `${where}.${type}`)
+    }
+
+    // invoke a combinator method, reporting errors at the current node
+    const invoke = (f, where) => {
+      try {
+        return f()
+      } catch (error) {
+        fail(error.message, where)
+      }
+    }
+
+    // translate a combinator given its named or positional arguments
+    const combinator = (type, value, where) => {
+      const specs = combinators[type].args || []
+      const components = combinators[type].components
+      const alias = aliases[type] || {}
+      const known = key => specs.some(arg => arg.name === key) || (components && key === 'components') || alias[key] !== undefined ||
+        (type === 'action' && actionOptions.indexOf(key) >= 0)
+
+      if (type === 'saga') {
+        if (!Array.isArray(value)) fail('Expected a list of steps', where, value)
+        const steps = value.map((step, index) => {
+          if (!isObject(step)) return step
+          const copy = Object.assign({}, step)
+          if (step.do !== undefined) copy.do = task(step.do, `${where}[${index}].do`)
+          if (step.undo !== undefined) copy.undo = task(step.undo, `${where}[${index}].undo`)
+          return copy
+        })
+        return invoke(() => composer.saga(steps), where)
+      }
+
+      // normalize the arguments to a dictionary of named arguments
+      let args
+      if (specs.length > 0 && specs[0].type === 'value') { // literal value
+        args = { [specs[0].name]: value }
+      } else if (value === null && specs.every(arg => arg.optional)) {
+        args = {}
+      } else if (isObject(value) && Object.keys(value).every(known)) {
+        args = {}
+        for (let key in value) args[alias[key] || key] = value[key]
+      } else if (components && specs.every(arg => arg.optional)) {
+        args = { components: Array.isArray(value) ? value : [value] }
+      } else if (!components && specs.length > 0 && specs.slice(1).every(arg => arg.optional)) {
+        args = { [specs[0].name]: value }
+      } else {
+        fail(`Expected a dictionary of arguments of the "${type}" combinator`, where, value)
+      }
+
+      // translate the arguments that are compositions
+      for (let arg of specs) {
+        if (args[arg.name] === undefined) continue
+        if (arg.type === undefined) {
+          args[arg.name] = task(args[arg.name], `${where}.${arg.name}`)
+        } else if (arg.type === 'compositions' && (isObject(args[arg.name]) || Array.isArray(args[arg.name]))) {
+          const cases = args[arg.name]
+          args[arg.name] = Array.isArray(cases) ? [] : {}
+          for (let key in cases) args[arg.name][key] = task(cases[key], `${where}.${arg.name}${Array.isArray(cases) ? `[${key}]` : `.${key}`}`)
+        }
+      }
+      let list = []
+      if (args.components !== undefined) {
+        list = Array.isArray(args.components)
+          ? args.components.map((node, index) => task(node, `${where}.components[${index}]`))
+          : [task(args.components, `${where}.components`)]
+        delete args.components
+      }
+
+      switch (type) {
+        case 'action': {
+          const options = {}
+          for (let key of actionOptions) if (args[key] !== undefined) options[key] = args[key]
+          if (typeof options.filename === 'string') options.filename = path.resolve(dirname, options.filename)
+          return invoke(() => composer.action(args.name, options), where)
+        }
+        case 'include':
+          return invoke(() => composer.include(args.name, args.composition === undefined ? { dirname } : args.composition), where)
+        case 'retry':
+        case 'map':
+          return invoke(() => composer[type](args, ...list), where)
+        case 'breaker':
+          return invoke(() => composer.breaker({ key: args.key, failures: args.failures, resetAfter: args.resetAfter }, args.body, args.fallback), where)
+        default:
+          return invoke(() => (factories[type] || composer[type])(...specs.map(arg => args[arg.name]), ...list), where)
+      }
+    }
+
+    return task(document, '$')
+  }
+
+  return {
+    // translate a YAML or JSON document to a composition
+    fromYAML (source, options) {
+      let document
+      try {
+        document = require('js-yaml').safeLoad(source)
+      } catch (error) {
+        throw new ComposerError(`Invalid YAML${error.mark ? ` at line ${error.mark.line + 1}` : ''} in "fromYAML": ${error.reason || error.message}`)
+      }
+      if (document === undefined) throw new ComposerError('Empty document in "fromYAML"')
+      return translate(document, options.dirname || process.cwd())
+    }
+  }
+}